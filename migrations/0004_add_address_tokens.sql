@@ -0,0 +1,3 @@
+-- 邮箱访问令牌
+-- 只保存令牌的 SHA-256 摘要，令牌明文仅在生成/认领时返回一次
+ALTER TABLE generated_addresses ADD COLUMN token_hash TEXT;
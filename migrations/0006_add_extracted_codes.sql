@@ -0,0 +1,6 @@
+-- 入库时提取的验证码和操作链接（JSON 数组）
+ALTER TABLE emails ADD COLUMN codes TEXT;
+ALTER TABLE emails ADD COLUMN links TEXT;
+
+-- 便于查询最新验证码
+CREATE INDEX IF NOT EXISTS idx_emails_address_created_at ON emails(address, created_at DESC);
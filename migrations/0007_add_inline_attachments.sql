@@ -0,0 +1,3 @@
+-- 内联附件（HTML 中通过 cid: 引用的图片等）
+ALTER TABLE attachments ADD COLUMN content_id TEXT;
+ALTER TABLE attachments ADD COLUMN is_inline INTEGER DEFAULT 0;
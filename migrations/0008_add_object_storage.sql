@@ -0,0 +1,3 @@
+-- 配置 R2 时，邮件原文和附件内容保存在对象存储中，这里只记录对象键
+ALTER TABLE emails ADD COLUMN raw_key TEXT;
+ALTER TABLE attachments ADD COLUMN object_key TEXT;
@@ -0,0 +1,2 @@
+-- 完整的邮件头部列表（JSON 数组，按原始顺序保留重复头部，如多个 Received）
+ALTER TABLE emails ADD COLUMN headers TEXT;
@@ -0,0 +1,6 @@
+-- 邮件认证结果（Authentication-Results / ARC-Authentication-Results）
+-- auth_results 保存完整的解析结果（JSON），其余三列为汇总结果，用于收件箱筛选
+ALTER TABLE emails ADD COLUMN auth_results TEXT;
+ALTER TABLE emails ADD COLUMN spf_result TEXT;
+ALTER TABLE emails ADD COLUMN dkim_result TEXT;
+ALTER TABLE emails ADD COLUMN dmarc_result TEXT;
@@ -0,0 +1,9 @@
+-- 邮箱有效期：地址和邮件分别记录过期时间，已有数据按默认的 24 小时补齐
+ALTER TABLE generated_addresses ADD COLUMN expires_at INTEGER;
+ALTER TABLE emails ADD COLUMN expires_at INTEGER;
+
+UPDATE generated_addresses SET expires_at = created_at + 86400000 WHERE expires_at IS NULL;
+UPDATE emails SET expires_at = created_at + 86400000 WHERE expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_generated_addresses_expires_at ON generated_addresses(expires_at);
+CREATE INDEX IF NOT EXISTS idx_emails_expires_at ON emails(expires_at);
@@ -0,0 +1,2 @@
+-- 已销毁的邮箱：保留地址记录作为墓碑，在保留期内不能被重新认领或生成
+ALTER TABLE generated_addresses ADD COLUMN destroyed_at INTEGER;
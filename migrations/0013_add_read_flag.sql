@@ -0,0 +1,2 @@
+-- 邮件已读标记
+ALTER TABLE emails ADD COLUMN is_read INTEGER DEFAULT 0;
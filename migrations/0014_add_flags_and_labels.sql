@@ -0,0 +1,13 @@
+-- 邮件星标
+ALTER TABLE emails ADD COLUMN is_starred INTEGER DEFAULT 0;
+
+-- 邮件标签（自由文本）
+CREATE TABLE IF NOT EXISTS email_labels (
+  email_id TEXT NOT NULL,
+  label TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (email_id, label),
+  FOREIGN KEY (email_id) REFERENCES emails(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_labels_label ON email_labels(label);
@@ -0,0 +1,15 @@
+-- 收件箱分页索引（按地址倒序翻页）
+CREATE INDEX IF NOT EXISTS idx_emails_address_created ON emails(address, created_at DESC, id DESC);
+
+-- 邮件全文搜索（主题和正文）
+-- 使用 trigram 分词，支持中文等不以空格分词的语言按子串搜索
+-- rowid 与 emails 的 rowid 一致，由收信时写入，删除邮件时由触发器同步删除
+CREATE VIRTUAL TABLE IF NOT EXISTS emails_fts USING fts5(subject, body, tokenize = 'trigram');
+
+CREATE TRIGGER IF NOT EXISTS emails_fts_delete AFTER DELETE ON emails BEGIN
+  DELETE FROM emails_fts WHERE rowid = old.rowid;
+END;
+
+-- 为已有邮件建立索引
+INSERT INTO emails_fts (rowid, subject, body)
+SELECT rowid, subject, text_content FROM emails;
@@ -0,0 +1,5 @@
+-- 邮件原文大小（字节），用于统计存储用量
+ALTER TABLE emails ADD COLUMN raw_size INTEGER;
+
+-- 原文保存在 D1 中的已有邮件直接补齐，保存在 R2 中的无法得知大小
+UPDATE emails SET raw_size = LENGTH(CAST(raw_email AS BLOB)) WHERE raw_email IS NOT NULL;
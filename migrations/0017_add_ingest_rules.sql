@@ -0,0 +1,18 @@
+-- 收信规则（由管理接口维护，收信时在解析邮件之前检查）
+-- type: block_sender 拒收发件人（地址或域名），block_recipient 拒收收件人前缀，
+--       allow_sender 按收件域名的发件人白名单，max_size 邮件大小上限（字节）
+-- domain: 规则适用的收件域名，为空表示全部域名（allow_sender 必须指定）
+CREATE TABLE IF NOT EXISTS ingest_rules (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  value TEXT NOT NULL,
+  domain TEXT,
+  note TEXT,
+  enabled INTEGER DEFAULT 1,
+  hit_count INTEGER DEFAULT 0,
+  last_hit_at INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_rules_enabled ON ingest_rules(enabled, type);
@@ -0,0 +1,25 @@
+-- 垃圾邮件评分与隔离
+-- folder: inbox 收件箱，quarantine 隔离区（默认不在收件箱中显示）
+-- spam_score / spam_reasons: 入库时的评分及命中的规则（JSON 数组）
+-- spam_verdict: 用户标记的结果（spam / ham），用于训练时避免重复计数
+ALTER TABLE emails ADD COLUMN folder TEXT NOT NULL DEFAULT 'inbox';
+ALTER TABLE emails ADD COLUMN spam_score REAL;
+ALTER TABLE emails ADD COLUMN spam_reasons TEXT;
+ALTER TABLE emails ADD COLUMN spam_verdict TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_emails_address_folder ON emails(address, folder, created_at DESC);
+
+-- 朴素贝叶斯模型：每个词在垃圾邮件和正常邮件中出现的邮件数
+CREATE TABLE IF NOT EXISTS spam_tokens (
+  token TEXT PRIMARY KEY,
+  spam_count INTEGER NOT NULL DEFAULT 0,
+  ham_count INTEGER NOT NULL DEFAULT 0
+);
+
+-- 参与训练的邮件总数
+CREATE TABLE IF NOT EXISTS spam_totals (
+  class TEXT PRIMARY KEY,
+  message_count INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT OR IGNORE INTO spam_totals (class, message_count) VALUES ('spam', 0), ('ham', 0);
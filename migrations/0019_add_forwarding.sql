@@ -0,0 +1,31 @@
+-- 邮件转发规则（按邮箱地址），目标邮箱确认验证码后才生效
+-- from_filter / subject_filter: 发件人和主题按子串匹配，为空表示不限
+-- code_hash: 验证码摘要，code_expires_at 之前有效，verify_attempts 为已尝试次数
+CREATE TABLE IF NOT EXISTS forward_rules (
+  id TEXT PRIMARY KEY,
+  address TEXT NOT NULL,
+  destination TEXT NOT NULL,
+  from_filter TEXT,
+  subject_filter TEXT,
+  code_hash TEXT,
+  code_expires_at INTEGER,
+  verify_attempts INTEGER DEFAULT 0,
+  verified_at INTEGER,
+  created_at INTEGER NOT NULL,
+  UNIQUE (address, destination)
+);
+
+-- 转发记录
+-- status: success 已转发，failed 转发失败
+CREATE TABLE IF NOT EXISTS forward_logs (
+  id TEXT PRIMARY KEY,
+  rule_id TEXT NOT NULL,
+  email_id TEXT NOT NULL,
+  destination TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (rule_id) REFERENCES forward_rules(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_forward_logs_rule ON forward_logs(rule_id, created_at DESC);
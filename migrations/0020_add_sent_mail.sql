@@ -0,0 +1,2 @@
+-- 已发送的邮件保存在 emails 表中（folder = 'sent'），address 为发件的临时邮箱，to_address 为收件人
+ALTER TABLE emails ADD COLUMN to_address TEXT;
@@ -0,0 +1,30 @@
+-- 账户（由管理员创建），账户的 API 密钥可以生成和管理多个邮箱
+-- rate_limit_multiplier: 速率限制倍数，为空时使用默认倍数；disabled_at 非空表示已停用
+CREATE TABLE IF NOT EXISTS accounts (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  rate_limit_multiplier INTEGER,
+  disabled_at INTEGER,
+  created_at INTEGER NOT NULL
+);
+
+-- API 密钥，只保存摘要
+-- key_prefix: 密钥开头几位，用于辨认；revoked_at 非空表示已吊销
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  account_id TEXT NOT NULL,
+  name TEXT,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  last_used_at INTEGER,
+  revoked_at INTEGER,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_account ON api_keys(account_id, created_at);
+
+-- 邮箱所属账户，为空表示匿名邮箱
+ALTER TABLE generated_addresses ADD COLUMN account_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_generated_addresses_account ON generated_addresses(account_id, created_at DESC);
@@ -0,0 +1,2 @@
+-- 速率限制记录计数时的上限（各层级和账户的上限不同），供管理接口显示
+ALTER TABLE rate_limits ADD COLUMN request_limit INTEGER;
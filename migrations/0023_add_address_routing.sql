@@ -0,0 +1,32 @@
+-- 按域名的收件策略（由管理接口维护，未配置的域名为 accept_all）
+-- policy: accept_all 接收任意地址，generated_only 只接收已生成或认领的邮箱，routes_only 只接收匹配收件路由的地址
+CREATE TABLE IF NOT EXISTS domain_policies (
+  domain TEXT PRIMARY KEY,
+  policy TEXT NOT NULL DEFAULT 'accept_all',
+  updated_at INTEGER NOT NULL
+);
+
+-- 收件路由：收件地址的用户名匹配时改投到目标邮箱
+-- pattern_type: wildcard（* 匹配任意字符）或 regex（匹配整个用户名）
+-- priority: 数值小的先匹配
+CREATE TABLE IF NOT EXISTS route_rules (
+  id TEXT PRIMARY KEY,
+  domain TEXT NOT NULL,
+  pattern_type TEXT NOT NULL,
+  pattern TEXT NOT NULL,
+  target TEXT NOT NULL,
+  priority INTEGER DEFAULT 100,
+  note TEXT,
+  enabled INTEGER DEFAULT 1,
+  hit_count INTEGER DEFAULT 0,
+  last_hit_at INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_route_rules_domain ON route_rules(domain, enabled, priority);
+
+-- 加号地址的标签（user+tag@domain 中的 tag），投递时去掉标签，标签单独保存用于筛选
+ALTER TABLE emails ADD COLUMN plus_tag TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_emails_address_plus_tag ON emails(address, plus_tag);
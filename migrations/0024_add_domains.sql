@@ -0,0 +1,14 @@
+-- 域名（由管理接口维护，首次部署时用环境变量 DOMAINS 初始化一次，见 settings.domains_seeded）
+-- enabled: 停用后不再收信，也不能生成或访问该域名下的邮箱
+-- hidden: 不出现在 /api/domains 中，也不会被随机选中，生成时指定该域名仍可使用
+-- default_ttl: 该域名邮箱的默认有效期（毫秒），为空时使用全局默认值
+-- max_addresses: 该域名有效邮箱数上限，为空表示不限
+CREATE TABLE IF NOT EXISTS domains (
+  domain TEXT PRIMARY KEY,
+  enabled INTEGER DEFAULT 1,
+  hidden INTEGER DEFAULT 0,
+  default_ttl INTEGER,
+  max_addresses INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
@@ -0,0 +1,40 @@
+-- 邮件全文搜索改为按 emails.id 关联
+-- 原先 emails_fts 的 rowid 与 emails 的隐式 rowid 一致，VACUUM 等操作可能重排 rowid，导致搜索结果对应到错误的邮件
+-- 现在由 email_search_keys 为每封邮件分配固定的整数键作为 emails_fts 的 rowid，email_id 保存邮件 ID；
+-- 索引由触发器在插入、修改、删除邮件时同步维护，写入邮件时无需再手动插入
+
+DROP TRIGGER IF EXISTS emails_fts_delete;
+DROP TABLE IF EXISTS emails_fts;
+
+CREATE TABLE IF NOT EXISTS email_search_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email_id TEXT NOT NULL UNIQUE
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS emails_fts USING fts5(email_id UNINDEXED, subject, body, tokenize = 'trigram');
+
+CREATE TRIGGER IF NOT EXISTS emails_fts_insert AFTER INSERT ON emails BEGIN
+  INSERT INTO email_search_keys (email_id) VALUES (new.id);
+  INSERT INTO emails_fts (rowid, email_id, subject, body)
+  VALUES ((SELECT id FROM email_search_keys WHERE email_id = new.id), new.id, new.subject, new.text_content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS emails_fts_update AFTER UPDATE OF id, subject, text_content ON emails BEGIN
+  DELETE FROM emails_fts WHERE rowid = (SELECT id FROM email_search_keys WHERE email_id = old.id);
+  UPDATE email_search_keys SET email_id = new.id WHERE email_id = old.id;
+  INSERT INTO emails_fts (rowid, email_id, subject, body)
+  VALUES ((SELECT id FROM email_search_keys WHERE email_id = new.id), new.id, new.subject, new.text_content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS emails_fts_delete AFTER DELETE ON emails BEGIN
+  DELETE FROM emails_fts WHERE rowid = (SELECT id FROM email_search_keys WHERE email_id = old.id);
+  DELETE FROM email_search_keys WHERE email_id = old.id;
+END;
+
+-- 为已有邮件重建索引
+INSERT OR IGNORE INTO email_search_keys (email_id)
+SELECT id FROM emails;
+
+INSERT INTO emails_fts (rowid, email_id, subject, body)
+SELECT k.id, e.id, e.subject, e.text_content
+FROM emails e JOIN email_search_keys k ON k.email_id = e.id;
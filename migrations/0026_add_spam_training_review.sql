@@ -0,0 +1,7 @@
+-- 垃圾邮件模型改由管理员训练
+-- spam_verdict: 用户标记的结果（spam / ham），只移动邮件，作为待审核的举报
+-- spam_trained: 管理员用于训练模型的结果，改变时先撤销之前的计数
+ALTER TABLE emails ADD COLUMN spam_trained TEXT;
+
+-- 之前的用户标记已经参与了训练
+UPDATE emails SET spam_trained = spam_verdict WHERE spam_verdict IS NOT NULL;
@@ -0,0 +1,6 @@
+-- 转发验证次数上限
+-- verify_sends: 已发送的验证码数；verify_attempts 改为所有验证码累计的尝试次数，重发不再清零
+-- 任一次数用完后规则锁定，不能再发送或验证，随邮箱一起清理
+ALTER TABLE forward_rules ADD COLUMN verify_sends INTEGER DEFAULT 0;
+
+UPDATE forward_rules SET verify_sends = 1 WHERE code_hash IS NOT NULL;
@@ -0,0 +1,13 @@
+-- 全局设置（键值对）
+-- domains_seeded: 已用环境变量 DOMAINS 初始化过域名表，之后域名表为空表示没有域名，不再重新导入
+CREATE TABLE IF NOT EXISTS settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- 已有域名的部署视为已初始化，避免重新导入管理员删除过的域名
+INSERT INTO settings (key, value, updated_at)
+SELECT 'domains_seeded', '1', CAST(strftime('%s', 'now') AS INTEGER) * 1000
+WHERE EXISTS (SELECT 1 FROM domains)
+ON CONFLICT (key) DO NOTHING;
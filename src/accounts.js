@@ -0,0 +1,88 @@
+/**
+ * 账户与 API 密钥
+ * 账户由管理员创建并签发密钥；携带密钥生成或认领的邮箱归属于该账户，
+ * 之后可以只用密钥访问这些邮箱，并一次列出账户下全部邮箱的未读数
+ */
+
+import { CONFIG, jsonResponse } from "./utils.js";
+
+/**
+ * 检查账户的有效邮箱数是否已达上限
+ * @returns {Object} 未达上限时 {}，否则 { error: Response }
+ */
+export async function checkAccountQuota(env, account) {
+  const result = await env.DB.prepare(`
+    SELECT COUNT(*) AS count FROM generated_addresses
+    WHERE account_id = ? AND destroyed_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+  `).bind(account.id, Date.now()).first();
+
+  if ((result?.count || 0) >= CONFIG.ACCOUNT_MAX_ADDRESSES) {
+    return {
+      error: jsonResponse({ success: false, error: `每个账户最多 ${CONFIG.ACCOUNT_MAX_ADDRESSES} 个有效邮箱` }, 400),
+    };
+  }
+  return {};
+}
+
+/**
+ * 账户下的邮箱（不含已销毁的），附带收件箱的邮件数和未读数，按生成时间倒序
+ * @returns {Object} { addresses, hasMore }
+ */
+export async function listAccountAddresses(env, accountId, { limit, offset }) {
+  const result = await env.DB.prepare(`
+    SELECT g.address, g.created_at, g.expires_at,
+      COALESCE(s.total, 0) AS total, COALESCE(s.unread, 0) AS unread, s.last_received_at
+    FROM generated_addresses g
+    LEFT JOIN (
+      SELECT address, COUNT(*) AS total, SUM(CASE WHEN is_read = 0 THEN 1 ELSE 0 END) AS unread, MAX(created_at) AS last_received_at
+      FROM emails
+      WHERE folder = 'inbox' AND address IN (SELECT address FROM generated_addresses WHERE account_id = ?)
+      GROUP BY address
+    ) s ON s.address = g.address
+    WHERE g.account_id = ? AND g.destroyed_at IS NULL
+    ORDER BY g.created_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(accountId, accountId, limit + 1, offset).all();
+
+  const now = Date.now();
+  const rows = result.results || [];
+  return {
+    addresses: rows.slice(0, limit).map(row => ({
+      address: row.address,
+      createdAt: new Date(row.created_at).toISOString(),
+      expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+      expired: !!row.expires_at && row.expires_at <= now,
+      total: row.total,
+      unread: row.unread,
+      lastReceivedAt: row.last_received_at ? new Date(row.last_received_at).toISOString() : null,
+    })),
+    hasMore: rows.length > limit,
+  };
+}
+
+/**
+ * 账户的 API 表示
+ */
+export function formatAccount(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    rateLimitMultiplier: row.rate_limit_multiplier || CONFIG.RATE_LIMIT_TIERS.account,
+    disabled: Boolean(row.disabled_at),
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+/**
+ * API 密钥的 API 表示（不含密钥本身）
+ */
+export function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name || null,
+    prefix: row.key_prefix,
+    revoked: Boolean(row.revoked_at),
+    lastUsedAt: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
@@ -0,0 +1,912 @@
+/**
+ * 管理接口（/api/admin/*）
+ * 供部署方查看邮箱和存储情况、管理任意邮件、手动触发清理以及解除速率限制，需携带管理密钥
+ */
+
+import { authorizeAdmin, generateApiKey, hashToken } from "./auth.js";
+import { cleanupOldEmails } from "./cleanup.js";
+import { sanitizeHtml } from "./sanitize.js";
+import { getRawEmail, deleteObjects, collectObjectKeys } from "./storage.js";
+import { normalizeRule, formatRule } from "./rules.js";
+import { DOMAIN_POLICIES, normalizeRoute, formatRoute } from "./routing.js";
+import { getSpamModelStats, buildTrainingStatements } from "./spam.js";
+import { formatAccount, formatApiKey } from "./accounts.js";
+import { listDomains, invalidateDomainCache, normalizeDomain, formatDomain } from "./domains.js";
+import { CONFIG, jsonResponse, readJson, generateId, parseJsonArray, parseCursor, formatCursor, extractPreview } from "./utils.js";
+
+/**
+ * 管理接口路由
+ */
+export async function handleAdminApi(path, url, env, request) {
+  const method = request.method.toUpperCase();
+
+  const auth = await authorizeAdmin(env, request);
+  if (auth.error) {
+    return auth.error;
+  }
+
+  const limit = parseLimit(url.searchParams.get("limit"));
+  if (limit === null) {
+    return jsonResponse({ success: false, error: `limit 需在 1 到 ${CONFIG.ADMIN_PAGE_LIMIT} 之间` }, 400);
+  }
+
+  // GET /api/admin/stats - 总体统计：邮箱数、邮件数、存储用量、发件最多的发件人
+  if (path === "/api/admin/stats") {
+    const now = Date.now();
+    const [addresses, emails, attachments, senders] = await env.DB.batch([
+      env.DB.prepare(`
+        SELECT COUNT(*) AS total,
+          SUM(CASE WHEN destroyed_at IS NULL AND (expires_at IS NULL OR expires_at > ?) THEN 1 ELSE 0 END) AS active,
+          SUM(CASE WHEN token_hash IS NOT NULL THEN 1 ELSE 0 END) AS claimed
+        FROM generated_addresses
+      `).bind(now),
+      env.DB.prepare(`
+        SELECT COUNT(*) AS total, COUNT(DISTINCT address) AS addresses, MAX(created_at) AS last_received_at,
+          SUM(CASE WHEN created_at > ? THEN 1 ELSE 0 END) AS last_24h,
+          SUM(CASE WHEN folder = 'quarantine' THEN 1 ELSE 0 END) AS quarantined,
+          SUM(CASE WHEN raw_key IS NULL THEN COALESCE(raw_size, 0) ELSE 0 END) AS d1_raw_bytes,
+          SUM(CASE WHEN raw_key IS NOT NULL THEN COALESCE(raw_size, 0) ELSE 0 END) AS r2_raw_bytes,
+          SUM(COALESCE(LENGTH(CAST(text_content AS BLOB)), 0) + COALESCE(LENGTH(CAST(html_content AS BLOB)), 0)) AS content_bytes
+        FROM emails
+      `).bind(now - 24 * 60 * 60 * 1000),
+      env.DB.prepare(`
+        SELECT COUNT(*) AS total,
+          SUM(CASE WHEN object_key IS NULL THEN COALESCE(size, 0) ELSE 0 END) AS d1_bytes,
+          SUM(CASE WHEN object_key IS NOT NULL THEN COALESCE(size, 0) ELSE 0 END) AS r2_bytes
+        FROM attachments
+      `),
+      env.DB.prepare(`
+        SELECT from_address, COUNT(*) AS count, MAX(created_at) AS last_received_at
+        FROM emails
+        GROUP BY from_address
+        ORDER BY count DESC
+        LIMIT ?
+      `).bind(CONFIG.ADMIN_TOP_SENDERS),
+    ]);
+
+    const a = addresses.results[0];
+    const e = emails.results[0];
+    const att = attachments.results[0];
+
+    return jsonResponse({
+      success: true,
+      addresses: { total: a.total, active: a.active || 0, claimed: a.claimed || 0 },
+      emails: {
+        total: e.total,
+        addresses: e.addresses,
+        last24h: e.last_24h || 0,
+        quarantined: e.quarantined || 0,
+        lastReceivedAt: toIso(e.last_received_at),
+      },
+      spamModel: await getSpamModelStats(env),
+      attachments: { total: att.total },
+      // 原文保存在 R2 的早期邮件没有记录大小，不计入
+      storage: {
+        d1Bytes: (e.d1_raw_bytes || 0) + (e.content_bytes || 0) + (att.d1_bytes || 0),
+        r2Bytes: (e.r2_raw_bytes || 0) + (att.r2_bytes || 0),
+      },
+      topSenders: (senders.results || []).map(row => ({
+        from: row.from_address,
+        count: row.count,
+        lastReceivedAt: toIso(row.last_received_at),
+      })),
+    });
+  }
+
+  // GET /api/admin/addresses - 邮箱列表（包括收到过邮件但未生成的地址），按最近收信时间排序
+  if (path === "/api/admin/addresses") {
+    const offset = Math.max(parseInt(url.searchParams.get("offset"), 10) || 0, 0);
+    const query = (url.searchParams.get("q") || "").trim().toLowerCase();
+
+    const result = await env.DB.prepare(`
+      WITH all_addresses AS (
+        SELECT address FROM generated_addresses
+        UNION
+        SELECT address FROM emails
+      ),
+      email_stats AS (
+        SELECT address, COUNT(*) AS email_count, MAX(created_at) AS last_received_at
+        FROM emails
+        GROUP BY address
+      )
+      SELECT a.address, g.created_at, g.expires_at, g.destroyed_at, g.token_hash IS NOT NULL AS claimed, g.account_id,
+        COALESCE(s.email_count, 0) AS email_count, s.last_received_at
+      FROM all_addresses a
+      LEFT JOIN generated_addresses g ON g.address = a.address
+      LEFT JOIN email_stats s ON s.address = a.address
+      WHERE instr(a.address, ?) > 0
+      ORDER BY s.last_received_at IS NULL, s.last_received_at DESC, g.created_at DESC
+      LIMIT ? OFFSET ?
+    `).bind(query, limit + 1, offset).all();
+
+    const rows = result.results || [];
+    return jsonResponse({
+      success: true,
+      addresses: rows.slice(0, limit).map(row => ({
+        address: row.address,
+        generated: row.created_at !== null,
+        claimed: row.claimed === 1,
+        accountId: row.account_id || null,
+        createdAt: toIso(row.created_at),
+        expiresAt: toIso(row.expires_at),
+        destroyedAt: toIso(row.destroyed_at),
+        emailCount: row.email_count,
+        lastReceivedAt: toIso(row.last_received_at),
+      })),
+      hasMore: rows.length > limit,
+      nextOffset: rows.length > limit ? offset + limit : null,
+    });
+  }
+
+  // GET /api/admin/messages - 浏览任意邮件，可按地址筛选，reported=1 时只看用户标记过但尚未按该标记训练的邮件，游标分页
+  if (path === "/api/admin/messages") {
+    const conditions = ["1 = 1"];
+    const params = [];
+
+    const address = (url.searchParams.get("address") || "").trim().toLowerCase();
+    if (address) {
+      conditions.push("address = ?");
+      params.push(address);
+    }
+
+    if (url.searchParams.get("reported") === "1") {
+      conditions.push("spam_verdict IS NOT NULL AND spam_verdict IS NOT spam_trained");
+    }
+
+    const beforeParam = url.searchParams.get("before");
+    if (beforeParam) {
+      const before = parseCursor(beforeParam);
+      if (!before) {
+        return jsonResponse({ success: false, error: "无效的分页游标" }, 400);
+      }
+      conditions.push("(created_at < ? OR (created_at = ? AND id < ?))");
+      params.push(before.createdAt, before.createdAt, before.id);
+    }
+
+    const result = await env.DB.prepare(`
+      SELECT id, address, from_address, from_name, subject, text_content, has_attachments, raw_size, folder, spam_score, spam_verdict, spam_trained,
+        created_at, expires_at
+      FROM emails
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `).bind(...params, limit + 1).all();
+
+    const rows = result.results || [];
+    const pageRows = rows.slice(0, limit);
+    const lastRow = pageRows[pageRows.length - 1];
+
+    return jsonResponse({
+      success: true,
+      messages: pageRows.map(row => ({
+        id: row.id,
+        address: row.address,
+        from: formatFrom(row),
+        subject: row.subject,
+        preview: extractPreview(row.text_content),
+        hasAttachments: row.has_attachments === 1,
+        size: row.raw_size,
+        folder: row.folder,
+        spamScore: row.spam_score,
+        reported: row.spam_verdict || null,
+        trained: row.spam_trained || null,
+        date: toIso(row.created_at),
+        expiresAt: toIso(row.expires_at),
+      })),
+      hasMore: rows.length > limit,
+      nextCursor: rows.length > limit ? formatCursor(lastRow.created_at, lastRow.id) : null,
+    });
+  }
+
+  // /api/admin/message - 查看（GET）或删除（DELETE）任意邮件
+  if (path === "/api/admin/message") {
+    const id = url.searchParams.get("id");
+    if (!id) {
+      return jsonResponse({ success: false, error: "请提供邮件ID" }, 400);
+    }
+
+    const email = await env.DB.prepare(`
+      SELECT * FROM emails WHERE id = ?
+    `).bind(id).first();
+
+    if (!email) {
+      return jsonResponse({ success: false, error: "邮件不存在" }, 404);
+    }
+
+    if (method === "DELETE") {
+      const objectKeys = await collectObjectKeys(env, [id]);
+      await env.DB.prepare(`
+        DELETE FROM emails WHERE id = ?
+      `).bind(id).run();
+      await deleteObjects(env, objectKeys);
+
+      console.log(`Admin deleted email ${id} (${email.address})`);
+      return jsonResponse({ success: true, message: "邮件已删除" });
+    }
+
+    if (method !== "GET") {
+      return jsonResponse({ success: false, error: "不支持的请求方法" }, 405);
+    }
+
+    const attachments = await env.DB.prepare(`
+      SELECT id, filename, content_type, size, content_id, is_inline FROM attachments WHERE email_id = ?
+    `).bind(id).all();
+
+    // 管理后台不加载远程资源，内联图片不展开
+    const sanitized = await sanitizeHtml(email.html_content);
+
+    return jsonResponse({
+      success: true,
+      message: {
+        id: email.id,
+        address: email.address,
+        from: formatFrom(email),
+        subject: email.subject,
+        text: email.text_content,
+        html: sanitized.html,
+        date: toIso(email.created_at),
+        expiresAt: toIso(email.expires_at),
+        size: email.raw_size,
+        read: email.is_read === 1,
+        folder: email.folder,
+        spam: {
+          score: email.spam_score,
+          reasons: parseJsonArray(email.spam_reasons),
+          verdict: email.spam_verdict || null,
+          trained: email.spam_trained || null,
+        },
+        headers: parseJsonArray(email.headers),
+        authResults: email.auth_results ? JSON.parse(email.auth_results) : null,
+        attachments: (attachments.results || []).map(att => ({
+          id: att.id,
+          filename: att.filename,
+          contentType: att.content_type,
+          size: att.size,
+          contentId: att.content_id || null,
+          inline: att.is_inline === 1,
+        })),
+      },
+    });
+  }
+
+  // POST /api/admin/message/train - 用邮件训练垃圾邮件模型，请求体 { spam: true/false }
+  // 共享的模型只由管理员训练，用户标记只移动邮件并作为举报供审核
+  if (path === "/api/admin/message/train") {
+    if (method !== "POST") {
+      return jsonResponse({ success: false, error: "请使用 POST 方法" }, 405);
+    }
+
+    const id = url.searchParams.get("id");
+    if (!id) {
+      return jsonResponse({ success: false, error: "请提供邮件ID" }, 400);
+    }
+
+    const body = await readJson(request);
+    if (!body || typeof body.spam !== "boolean") {
+      return jsonResponse({ success: false, error: "spam 必须是 true 或 false" }, 400);
+    }
+
+    const email = await env.DB.prepare(`
+      SELECT id, subject, text_content, folder, spam_trained FROM emails WHERE id = ?
+    `).bind(id).first();
+
+    if (!email) {
+      return jsonResponse({ success: false, error: "邮件不存在" }, 404);
+    }
+    if (email.folder === "sent") {
+      return jsonResponse({ success: false, error: "已发送的邮件不能用于训练" }, 400);
+    }
+
+    const verdict = body.spam ? "spam" : "ham";
+    await env.DB.batch([
+      ...buildTrainingStatements(env, email, verdict),
+      env.DB.prepare(`
+        UPDATE emails SET spam_trained = ? WHERE id = ?
+      `).bind(verdict, id),
+    ]);
+
+    console.log(`Admin trained spam model with email ${id} as ${verdict}`);
+    return jsonResponse({ success: true, id, trained: verdict });
+  }
+
+  // GET /api/admin/raw - 下载任意邮件的原文
+  if (path === "/api/admin/raw") {
+    const id = url.searchParams.get("id");
+    if (!id) {
+      return jsonResponse({ success: false, error: "请提供邮件ID" }, 400);
+    }
+
+    const email = await env.DB.prepare(`
+      SELECT id, raw_email, raw_key FROM emails WHERE id = ?
+    `).bind(id).first();
+
+    const raw = email ? await getRawEmail(env, email) : null;
+    if (!raw) {
+      return jsonResponse({ success: false, error: "原始邮件不存在" }, 404);
+    }
+
+    return new Response(raw, {
+      headers: {
+        "Content-Type": "message/rfc822",
+        "Content-Disposition": `attachment; filename="${email.id}.eml"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  }
+
+  // POST /api/admin/cleanup - 立即执行一次过期数据清理
+  if (path === "/api/admin/cleanup") {
+    if (method !== "POST") {
+      return jsonResponse({ success: false, error: "请使用 POST 方法" }, 405);
+    }
+
+    const startedAt = Date.now();
+    const stats = await cleanupOldEmails(env);
+    return jsonResponse({ success: true, stats, durationMs: Date.now() - startedAt });
+  }
+
+  // /api/admin/rate-limits - 查看当前窗口的速率限制记录（GET），解除限制（DELETE）
+  // 计数对象（ip 字段）为 IP、"account:<账户ID>" 或 "address:<邮箱地址>"
+  if (path === "/api/admin/rate-limits") {
+    if (method === "DELETE") {
+      const ip = url.searchParams.get("ip");
+      const endpoint = url.searchParams.get("endpoint");
+      if (!ip) {
+        return jsonResponse({ success: false, error: "请提供计数对象（ip）" }, 400);
+      }
+
+      const result = endpoint
+        ? await env.DB.prepare(`
+            DELETE FROM rate_limits WHERE ip = ? AND endpoint = ?
+          `).bind(ip, endpoint).run()
+        : await env.DB.prepare(`
+            DELETE FROM rate_limits WHERE ip = ?
+          `).bind(ip).run();
+
+      console.log(`Admin cleared rate limits for ${ip}${endpoint ? ` on ${endpoint}` : ""}`);
+      return jsonResponse({ success: true, deleted: result.meta?.changes || 0 });
+    }
+
+    if (method !== "GET") {
+      return jsonResponse({ success: false, error: "不支持的请求方法" }, 405);
+    }
+
+    // 与限流时相同，按滑动窗口计入上一个窗口的请求数
+    const now = Date.now();
+    const windowStart = Math.floor(now / CONFIG.RATE_LIMIT_WINDOW_MS) * CONFIG.RATE_LIMIT_WINDOW_MS;
+    const weight = 1 - (now - windowStart) / CONFIG.RATE_LIMIT_WINDOW_MS;
+    const result = await env.DB.prepare(`
+      SELECT c.ip, c.endpoint, c.request_count, c.request_limit, COALESCE(p.request_count, 0) AS previous_count
+      FROM rate_limits c
+      LEFT JOIN rate_limits p ON p.ip = c.ip AND p.endpoint = c.endpoint AND p.window_start = ?
+      WHERE c.window_start = ?
+      ORDER BY c.request_count DESC
+      LIMIT ?
+    `).bind(windowStart - CONFIG.RATE_LIMIT_WINDOW_MS, windowStart, limit).all();
+
+    return jsonResponse({
+      success: true,
+      windowStart: toIso(windowStart),
+      resetAt: toIso(windowStart + CONFIG.RATE_LIMIT_WINDOW_MS),
+      entries: (result.results || []).map(row => {
+        const max = row.request_limit || CONFIG.RATE_LIMIT_MAX_REQUESTS[row.endpoint] || CONFIG.RATE_LIMIT_MAX_REQUESTS.default;
+        const count = Math.round(row.previous_count * weight + row.request_count);
+        return { ip: row.ip, endpoint: row.endpoint, count, limit: max, blocked: count >= max };
+      }),
+    });
+  }
+
+  // /api/admin/rules - 收信规则：GET 列表，POST 新建（带 id 时更新），DELETE 删除
+  if (path === "/api/admin/rules") {
+    const id = url.searchParams.get("id");
+
+    if (method === "GET") {
+      const result = await env.DB.prepare(`
+        SELECT * FROM ingest_rules ORDER BY type, created_at ASC
+      `).all();
+      return jsonResponse({ success: true, rules: (result.results || []).map(formatRule) });
+    }
+
+    if (method === "DELETE") {
+      if (!id) {
+        return jsonResponse({ success: false, error: "请提供规则ID" }, 400);
+      }
+      const result = await env.DB.prepare(`
+        DELETE FROM ingest_rules WHERE id = ?
+      `).bind(id).run();
+      if (!result.meta?.changes) {
+        return jsonResponse({ success: false, error: "规则不存在" }, 404);
+      }
+      return jsonResponse({ success: true, message: "规则已删除" });
+    }
+
+    if (method !== "POST") {
+      return jsonResponse({ success: false, error: "不支持的请求方法" }, 405);
+    }
+
+    const body = await readJson(request);
+    if (!body) {
+      return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+    }
+
+    // 更新时未提供的字段保持不变
+    let existing = null;
+    if (id) {
+      existing = await env.DB.prepare(`
+        SELECT * FROM ingest_rules WHERE id = ?
+      `).bind(id).first();
+      if (!existing) {
+        return jsonResponse({ success: false, error: "规则不存在" }, 404);
+      }
+    }
+
+    const input = existing
+      ? { ...formatRule(existing), ...body, type: existing.type }
+      : body;
+    const normalized = await normalizeRule(input, env);
+    if (normalized.error) {
+      return jsonResponse({ success: false, error: normalized.error }, 400);
+    }
+    const { rule } = normalized;
+
+    const duplicate = await env.DB.prepare(`
+      SELECT id FROM ingest_rules WHERE type = ? AND value = ? AND COALESCE(domain, '') = ? AND id != ?
+    `).bind(rule.type, rule.value, rule.domain || "", id || "").first();
+    if (duplicate) {
+      return jsonResponse({ success: false, error: "已存在相同的规则", id: duplicate.id }, 409);
+    }
+
+    const now = Date.now();
+    if (existing) {
+      await env.DB.prepare(`
+        UPDATE ingest_rules SET value = ?, domain = ?, note = ?, enabled = ?, updated_at = ? WHERE id = ?
+      `).bind(rule.value, rule.domain, rule.note, rule.enabled ? 1 : 0, now, id).run();
+    } else {
+      const count = await env.DB.prepare(`
+        SELECT COUNT(*) AS count FROM ingest_rules
+      `).first();
+      if (count.count >= CONFIG.INGEST_RULES_MAX) {
+        return jsonResponse({ success: false, error: `最多只能创建 ${CONFIG.INGEST_RULES_MAX} 条规则` }, 400);
+      }
+
+      await env.DB.prepare(`
+        INSERT INTO ingest_rules (id, type, value, domain, note, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(generateId(), rule.type, rule.value, rule.domain, rule.note, rule.enabled ? 1 : 0, now, now).run();
+    }
+
+    const saved = await env.DB.prepare(`
+      SELECT * FROM ingest_rules WHERE type = ? AND value = ? AND COALESCE(domain, '') = ?
+    `).bind(rule.type, rule.value, rule.domain || "").first();
+
+    return jsonResponse({ success: true, rule: formatRule(saved) }, existing ? 200 : 201);
+  }
+
+  // /api/admin/domains - 域名：GET 列表，POST 添加（带 domain 参数时更新），DELETE 删除
+  if (path === "/api/admin/domains") {
+    const name = (url.searchParams.get("domain") || "").toLowerCase();
+
+    if (method === "GET") {
+      const [domains, counts] = await Promise.all([
+        listDomains(env),
+        env.DB.prepare(`
+          SELECT SUBSTR(address, INSTR(address, '@') + 1) AS domain, COUNT(*) AS count
+          FROM generated_addresses
+          WHERE destroyed_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+          GROUP BY domain
+        `).bind(Date.now()).all(),
+      ]);
+      const active = new Map((counts.results || []).map(row => [row.domain, row.count]));
+      return jsonResponse({
+        success: true,
+        domains: domains.map(row => ({ ...formatDomain(row), addresses: active.get(row.domain) || 0 })),
+      });
+    }
+
+    if (method === "DELETE") {
+      if (!name) {
+        return jsonResponse({ success: false, error: "请提供域名" }, 400);
+      }
+      // 该域名的收件策略和路由一并删除，已生成的邮箱和邮件保留到过期
+      const [result] = await env.DB.batch([
+        env.DB.prepare(`
+          DELETE FROM domains WHERE domain = ?
+        `).bind(name),
+        env.DB.prepare(`
+          DELETE FROM domain_policies WHERE domain = ?
+        `).bind(name),
+        env.DB.prepare(`
+          DELETE FROM route_rules WHERE domain = ?
+        `).bind(name),
+      ]);
+      if (!result.meta?.changes) {
+        return jsonResponse({ success: false, error: "域名不存在" }, 404);
+      }
+      invalidateDomainCache();
+      console.log(`Admin deleted domain ${name}`);
+      return jsonResponse({ success: true, message: "域名已删除" });
+    }
+
+    if (method !== "POST") {
+      return jsonResponse({ success: false, error: "不支持的请求方法" }, 405);
+    }
+
+    const body = await readJson(request);
+    if (!body) {
+      return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+    }
+
+    let existing = null;
+    if (name) {
+      existing = await env.DB.prepare(`
+        SELECT * FROM domains WHERE domain = ?
+      `).bind(name).first();
+      if (!existing) {
+        return jsonResponse({ success: false, error: "域名不存在" }, 404);
+      }
+    }
+
+    const normalized = normalizeDomain(body, env, existing);
+    if (normalized.error) {
+      return jsonResponse({ success: false, error: normalized.error }, 400);
+    }
+    const { domain } = normalized;
+
+    const now = Date.now();
+    if (existing) {
+      await env.DB.prepare(`
+        UPDATE domains SET enabled = ?, hidden = ?, default_ttl = ?, max_addresses = ?, updated_at = ? WHERE domain = ?
+      `).bind(domain.enabled, domain.hidden, domain.default_ttl, domain.max_addresses, now, domain.domain).run();
+    } else {
+      // 尚未初始化时先用 DOMAINS 初始化，否则添加的域名会和 DOMAINS 混在一起
+      await listDomains(env);
+      const result = await env.DB.prepare(`
+        INSERT INTO domains (domain, enabled, hidden, default_ttl, max_addresses, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (domain) DO NOTHING
+      `).bind(domain.domain, domain.enabled, domain.hidden, domain.default_ttl, domain.max_addresses, now, now).run();
+      if (!result.meta?.changes) {
+        return jsonResponse({ success: false, error: "域名已存在" }, 409);
+      }
+    }
+    invalidateDomainCache();
+
+    const saved = await env.DB.prepare(`
+      SELECT * FROM domains WHERE domain = ?
+    `).bind(domain.domain).first();
+
+    console.log(`Admin ${existing ? "updated" : "added"} domain ${domain.domain}`);
+    return jsonResponse({ success: true, domain: formatDomain(saved) }, existing ? 200 : 201);
+  }
+
+  // /api/admin/domain-policies - 收件策略：GET 列出各域名的策略，POST ?domain= 设置
+  if (path === "/api/admin/domain-policies") {
+    if (method === "GET") {
+      const result = await env.DB.prepare(`
+        SELECT domain, policy, updated_at FROM domain_policies
+      `).all();
+      const policies = new Map((result.results || []).map(row => [row.domain, row]));
+      return jsonResponse({
+        success: true,
+        policies: (await listDomains(env)).map(({ domain }) => ({
+          domain,
+          policy: policies.get(domain)?.policy || "accept_all",
+          updatedAt: toIso(policies.get(domain)?.updated_at),
+        })),
+      });
+    }
+
+    if (method !== "POST") {
+      return jsonResponse({ success: false, error: "不支持的请求方法" }, 405);
+    }
+
+    const domain = (url.searchParams.get("domain") || "").toLowerCase();
+    if (!(await listDomains(env)).some(row => row.domain === domain)) {
+      return jsonResponse({ success: false, error: "domain 必须是支持的域名之一" }, 400);
+    }
+
+    const body = await readJson(request);
+    if (!body) {
+      return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+    }
+    if (!DOMAIN_POLICIES.includes(body.policy)) {
+      return jsonResponse({ success: false, error: `policy 必须是 ${DOMAIN_POLICIES.join("、")} 之一` }, 400);
+    }
+
+    const now = Date.now();
+    await env.DB.prepare(`
+      INSERT INTO domain_policies (domain, policy, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (domain) DO UPDATE SET policy = excluded.policy, updated_at = excluded.updated_at
+    `).bind(domain, body.policy, now).run();
+
+    console.log(`Admin set receive policy of ${domain} to ${body.policy}`);
+    return jsonResponse({ success: true, policy: { domain, policy: body.policy, updatedAt: toIso(now) } });
+  }
+
+  // /api/admin/routes - 收件路由：GET 列表，POST 新建（带 id 时更新），DELETE 删除
+  if (path === "/api/admin/routes") {
+    const id = url.searchParams.get("id");
+
+    if (method === "GET") {
+      const result = await env.DB.prepare(`
+        SELECT * FROM route_rules ORDER BY domain, priority ASC, created_at ASC
+      `).all();
+      return jsonResponse({ success: true, routes: (result.results || []).map(formatRoute) });
+    }
+
+    if (method === "DELETE") {
+      if (!id) {
+        return jsonResponse({ success: false, error: "请提供路由ID" }, 400);
+      }
+      const result = await env.DB.prepare(`
+        DELETE FROM route_rules WHERE id = ?
+      `).bind(id).run();
+      if (!result.meta?.changes) {
+        return jsonResponse({ success: false, error: "路由不存在" }, 404);
+      }
+      return jsonResponse({ success: true, message: "路由已删除" });
+    }
+
+    if (method !== "POST") {
+      return jsonResponse({ success: false, error: "不支持的请求方法" }, 405);
+    }
+
+    const body = await readJson(request);
+    if (!body) {
+      return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+    }
+
+    // 更新时未提供的字段保持不变
+    let existing = null;
+    if (id) {
+      existing = await env.DB.prepare(`
+        SELECT * FROM route_rules WHERE id = ?
+      `).bind(id).first();
+      if (!existing) {
+        return jsonResponse({ success: false, error: "路由不存在" }, 404);
+      }
+    }
+
+    const normalized = await normalizeRoute(existing ? { ...formatRoute(existing), ...body } : body, env);
+    if (normalized.error) {
+      return jsonResponse({ success: false, error: normalized.error }, 400);
+    }
+    const { route } = normalized;
+
+    // 目标必须是已生成或认领的有效邮箱，改投的邮件才能用该邮箱的令牌读取；
+    // 未修改目标的更新不重新检查，目标过期后仍可停用或删除路由
+    if (!existing || route.target !== existing.target) {
+      const target = await env.DB.prepare(`
+        SELECT address FROM generated_addresses
+        WHERE address = ? AND token_hash IS NOT NULL AND destroyed_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+      `).bind(route.target, Date.now()).first();
+      if (!target) {
+        return jsonResponse({ success: false, error: "target 必须是已生成或认领且未过期的邮箱，请先生成或认领该地址" }, 400);
+      }
+    }
+
+    const duplicate = await env.DB.prepare(`
+      SELECT id FROM route_rules WHERE domain = ? AND pattern_type = ? AND pattern = ? AND id != ?
+    `).bind(route.domain, route.type, route.pattern, id || "").first();
+    if (duplicate) {
+      return jsonResponse({ success: false, error: "已存在相同的路由", id: duplicate.id }, 409);
+    }
+
+    const now = Date.now();
+    const routeId = existing ? existing.id : generateId();
+    if (existing) {
+      await env.DB.prepare(`
+        UPDATE route_rules SET domain = ?, pattern_type = ?, pattern = ?, target = ?, priority = ?, note = ?, enabled = ?, updated_at = ?
+        WHERE id = ?
+      `).bind(route.domain, route.type, route.pattern, route.target, route.priority, route.note, route.enabled ? 1 : 0, now, id).run();
+    } else {
+      const count = await env.DB.prepare(`
+        SELECT COUNT(*) AS count FROM route_rules
+      `).first();
+      if (count.count >= CONFIG.ROUTE_RULES_MAX) {
+        return jsonResponse({ success: false, error: `最多只能创建 ${CONFIG.ROUTE_RULES_MAX} 条路由` }, 400);
+      }
+
+      await env.DB.prepare(`
+        INSERT INTO route_rules (id, domain, pattern_type, pattern, target, priority, note, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(routeId, route.domain, route.type, route.pattern, route.target, route.priority, route.note, route.enabled ? 1 : 0, now, now).run();
+    }
+
+    const saved = await env.DB.prepare(`
+      SELECT * FROM route_rules WHERE id = ?
+    `).bind(routeId).first();
+
+    return jsonResponse({ success: true, route: formatRoute(saved) }, existing ? 200 : 201);
+  }
+
+  // /api/admin/accounts - 账户：GET 列表，POST 新建（带 id 时更新名称、速率倍数或停用），DELETE 删除
+  if (path === "/api/admin/accounts") {
+    const id = url.searchParams.get("id");
+
+    if (method === "GET") {
+      const result = await env.DB.prepare(`
+        SELECT a.*,
+          (SELECT COUNT(*) FROM api_keys k WHERE k.account_id = a.id AND k.revoked_at IS NULL) AS key_count,
+          (SELECT COUNT(*) FROM generated_addresses g WHERE g.account_id = a.id AND g.destroyed_at IS NULL) AS address_count
+        FROM accounts a
+        ORDER BY a.created_at DESC
+      `).all();
+      return jsonResponse({
+        success: true,
+        accounts: (result.results || []).map(row => ({
+          ...formatAccount(row),
+          keys: row.key_count,
+          addresses: row.address_count,
+        })),
+      });
+    }
+
+    if (method === "DELETE") {
+      if (!id) {
+        return jsonResponse({ success: false, error: "请提供账户ID" }, 400);
+      }
+      // 密钥级联删除，账户下的邮箱保留，可继续用各自的访问令牌访问
+      const [, result] = await env.DB.batch([
+        env.DB.prepare(`
+          UPDATE generated_addresses SET account_id = NULL WHERE account_id = ?
+        `).bind(id),
+        env.DB.prepare(`
+          DELETE FROM accounts WHERE id = ?
+        `).bind(id),
+      ]);
+      if (!result.meta?.changes) {
+        return jsonResponse({ success: false, error: "账户不存在" }, 404);
+      }
+      console.log(`Admin deleted account ${id}`);
+      return jsonResponse({ success: true, message: "账户已删除" });
+    }
+
+    if (method !== "POST") {
+      return jsonResponse({ success: false, error: "不支持的请求方法" }, 405);
+    }
+
+    const body = await readJson(request);
+    if (!body) {
+      return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+    }
+
+    let existing = null;
+    if (id) {
+      existing = await env.DB.prepare(`
+        SELECT * FROM accounts WHERE id = ?
+      `).bind(id).first();
+      if (!existing) {
+        return jsonResponse({ success: false, error: "账户不存在" }, 404);
+      }
+    }
+
+    // 更新时未提供的字段保持不变
+    const name = body.name === undefined && existing ? existing.name : body.name;
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      return jsonResponse({ success: false, error: "name 必须是不超过 100 个字符的文本" }, 400);
+    }
+
+    let multiplier = existing ? existing.rate_limit_multiplier : null;
+    if (body.rateLimitMultiplier !== undefined) {
+      multiplier = body.rateLimitMultiplier;
+      if (multiplier !== null && !(Number.isInteger(multiplier) && multiplier >= 1 && multiplier <= 1000)) {
+        return jsonResponse({ success: false, error: "rateLimitMultiplier 必须是 1 到 1000 的整数，或为 null 使用默认值" }, 400);
+      }
+    }
+
+    let disabledAt = existing ? existing.disabled_at : null;
+    if (body.disabled !== undefined) {
+      if (typeof body.disabled !== "boolean") {
+        return jsonResponse({ success: false, error: "disabled 必须是布尔值" }, 400);
+      }
+      disabledAt = body.disabled ? disabledAt || Date.now() : null;
+    }
+
+    const account = {
+      id: existing ? existing.id : generateId(),
+      name: name.trim(),
+      rate_limit_multiplier: multiplier,
+      disabled_at: disabledAt,
+      created_at: existing ? existing.created_at : Date.now(),
+    };
+
+    if (existing) {
+      await env.DB.prepare(`
+        UPDATE accounts SET name = ?, rate_limit_multiplier = ?, disabled_at = ? WHERE id = ?
+      `).bind(account.name, account.rate_limit_multiplier, account.disabled_at, account.id).run();
+    } else {
+      await env.DB.prepare(`
+        INSERT INTO accounts (id, name, rate_limit_multiplier, disabled_at, created_at) VALUES (?, ?, ?, ?, ?)
+      `).bind(account.id, account.name, account.rate_limit_multiplier, account.disabled_at, account.created_at).run();
+    }
+
+    return jsonResponse({ success: true, account: formatAccount(account) }, existing ? 200 : 201);
+  }
+
+  // /api/admin/keys - API 密钥：GET 列出账户的密钥，POST 签发（密钥只在响应中出现一次），DELETE 吊销
+  if (path === "/api/admin/keys") {
+    if (method === "DELETE") {
+      const id = url.searchParams.get("id");
+      if (!id) {
+        return jsonResponse({ success: false, error: "请提供密钥ID" }, 400);
+      }
+      const result = await env.DB.prepare(`
+        UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL
+      `).bind(Date.now(), id).run();
+      if (!result.meta?.changes) {
+        return jsonResponse({ success: false, error: "密钥不存在或已吊销" }, 404);
+      }
+      console.log(`Admin revoked API key ${id}`);
+      return jsonResponse({ success: true, message: "密钥已吊销" });
+    }
+
+    const accountId = url.searchParams.get("account");
+    if (!accountId) {
+      return jsonResponse({ success: false, error: "请提供账户ID" }, 400);
+    }
+    const account = await env.DB.prepare(`
+      SELECT id FROM accounts WHERE id = ?
+    `).bind(accountId).first();
+    if (!account) {
+      return jsonResponse({ success: false, error: "账户不存在" }, 404);
+    }
+
+    if (method === "GET") {
+      const result = await env.DB.prepare(`
+        SELECT * FROM api_keys WHERE account_id = ? ORDER BY created_at DESC
+      `).bind(accountId).all();
+      return jsonResponse({ success: true, keys: (result.results || []).map(formatApiKey) });
+    }
+
+    if (method !== "POST") {
+      return jsonResponse({ success: false, error: "不支持的请求方法" }, 405);
+    }
+
+    const body = (await readJson(request)) || {};
+    if (body.name !== undefined && body.name !== null && (typeof body.name !== "string" || body.name.length > 100)) {
+      return jsonResponse({ success: false, error: "name 必须是不超过 100 个字符的文本" }, 400);
+    }
+
+    const count = await env.DB.prepare(`
+      SELECT COUNT(*) AS count FROM api_keys WHERE account_id = ? AND revoked_at IS NULL
+    `).bind(accountId).first();
+    if (count.count >= CONFIG.ACCOUNT_MAX_KEYS) {
+      return jsonResponse({ success: false, error: `每个账户最多 ${CONFIG.ACCOUNT_MAX_KEYS} 个有效密钥` }, 400);
+    }
+
+    const key = generateApiKey();
+    const row = {
+      id: generateId(),
+      account_id: accountId,
+      name: (body.name || "").trim() || null,
+      key_prefix: key.substring(0, 12),
+      created_at: Date.now(),
+    };
+    await env.DB.prepare(`
+      INSERT INTO api_keys (id, account_id, name, key_hash, key_prefix, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(row.id, accountId, row.name, await hashToken(key), row.key_prefix, row.created_at).run();
+
+    return jsonResponse({ success: true, key, apiKey: formatApiKey(row) }, 201);
+  }
+
+  return jsonResponse({ error: "Not Found" }, 404);
+}
+
+/**
+ * 解析分页数量，未提供时使用默认值
+ * @returns {number|null} 超出范围时返回 null
+ */
+function parseLimit(value) {
+  if (!value) return CONFIG.ADMIN_PAGE_LIMIT;
+  const limit = parseInt(value, 10);
+  return limit >= 1 && limit <= CONFIG.ADMIN_PAGE_LIMIT ? limit : null;
+}
+
+function formatFrom(row) {
+  return row.from_name ? `${row.from_name} <${row.from_address}>` : row.from_address;
+}
+
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
@@ -0,0 +1,244 @@
+/**
+ * 邮箱访问令牌
+ * 每个生成或认领的邮箱都绑定一个令牌，读取和删除邮件时必须携带；
+ * 属于账户的邮箱也可以改用账户的 API 密钥（Authorization: Bearer）访问
+ */
+
+import { CONFIG, jsonResponse } from "./utils.js";
+import { enforceRateLimit } from "./ratelimit.js";
+import { isRouteTarget } from "./routing.js";
+
+// 访问令牌请求头
+export const TOKEN_HEADER = "X-Address-Token";
+
+// 管理密钥请求头
+export const ADMIN_TOKEN_HEADER = "X-Admin-Token";
+
+// API 密钥前缀，便于识别和扫描泄露的密钥
+export const API_KEY_PREFIX = "tmk_";
+
+// 同一请求只校验一次 API 密钥
+const apiKeyResults = new WeakMap();
+
+// 生成访问令牌（32 字节随机数，十六进制）
+export function generateToken() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+// 生成 API 密钥
+export function generateApiKey() {
+  return `${API_KEY_PREFIX}${generateToken()}`;
+}
+
+// 计算令牌摘要（数据库只保存摘要）
+export async function hashToken(token) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(token));
+  return toHex(new Uint8Array(digest));
+}
+
+// 计算 HMAC-SHA256，十六进制
+export async function hmacHex(secret, data) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(data));
+  return toHex(new Uint8Array(signature));
+}
+
+// 常量时间比较，避免时序攻击
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * 邮箱是否已过有效期
+ */
+export function isAddressExpired(record) {
+  return !!record.expires_at && record.expires_at <= Date.now();
+}
+
+/**
+ * 校验请求中的 API 密钥（Authorization: Bearer <密钥>）
+ * @returns {Object} 未携带时 {}，成功时 { account: { id, name, keyId, rateLimitMultiplier } }，失败时 { error: Response }
+ */
+export function authenticateApiKey(env, request) {
+  if (!apiKeyResults.has(request)) {
+    apiKeyResults.set(request, lookupApiKey(env, request));
+  }
+  return apiKeyResults.get(request);
+}
+
+async function lookupApiKey(env, request) {
+  const header = request.headers.get("Authorization");
+  if (!header) {
+    return {};
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  if (!match) {
+    return { error: jsonResponse({ success: false, error: "Authorization 格式应为 Bearer <API 密钥>" }, 401) };
+  }
+
+  const row = await env.DB.prepare(`
+    SELECT k.id AS key_id, k.last_used_at, a.id, a.name, a.rate_limit_multiplier, a.disabled_at
+    FROM api_keys k
+    INNER JOIN accounts a ON a.id = k.account_id
+    WHERE k.key_hash = ? AND k.revoked_at IS NULL
+  `).bind(await hashToken(match[1])).first();
+
+  if (!row) {
+    return { error: jsonResponse({ success: false, error: "API 密钥无效" }, 401) };
+  }
+  if (row.disabled_at) {
+    return { error: jsonResponse({ success: false, error: "账户已停用" }, 403) };
+  }
+
+  // 最近使用时间精确到分钟即可，避免每个请求都写库
+  const now = Date.now();
+  if (!row.last_used_at || now - row.last_used_at > 60 * 1000) {
+    await env.DB.prepare(`
+      UPDATE api_keys SET last_used_at = ? WHERE id = ?
+    `).bind(now, row.key_id).run();
+  }
+
+  return {
+    account: {
+      id: row.id,
+      name: row.name,
+      keyId: row.key_id,
+      rateLimitMultiplier: row.rate_limit_multiplier || CONFIG.RATE_LIMIT_TIERS.account,
+    },
+  };
+}
+
+/**
+ * 校验邮箱访问令牌，没有令牌时可以使用邮箱所属账户的 API 密钥
+ * @param {Object} options { allowExpired: 是否允许已过期的邮箱（用于续期） }
+ * @returns {Object} 成功时 { record }，失败时 { error: Response }
+ */
+export async function authorizeAddress(env, address, request, { allowExpired = false } = {}) {
+  const record = await env.DB.prepare(`
+    SELECT address, token_hash, account_id, created_at, expires_at, destroyed_at FROM generated_addresses WHERE address = ?
+  `).bind(address).first();
+
+  if (record && record.destroyed_at) {
+    return { error: jsonResponse({ success: false, error: "邮箱已销毁", expired: true }, 410) };
+  }
+
+  // 从未生成或尚未认领的邮箱，需要先通过 /api/claim 认领；已收到过邮件的和收件路由的目标不能认领
+  if (!record || !record.token_hash) {
+    const received = await env.DB.prepare(`
+      SELECT id FROM emails WHERE address = ? LIMIT 1
+    `).bind(address).first();
+    if (received) {
+      return { error: jsonResponse({ success: false, error: "该邮箱已收到过邮件，无法认领", claimable: false }, 401) };
+    }
+    if (await isRouteTarget(env, address)) {
+      return { error: jsonResponse({ success: false, error: "该邮箱是收件路由的目标，无法认领", claimable: false }, 401) };
+    }
+    return { error: jsonResponse({ success: false, error: "该邮箱尚未认领，请先认领", claimable: true }, 401) };
+  }
+
+  const token = request.headers.get(TOKEN_HEADER);
+  if (token) {
+    const tokenHash = await hashToken(token);
+    if (!timingSafeEqual(tokenHash, record.token_hash)) {
+      return { error: jsonResponse({ success: false, error: "访问令牌无效" }, 403) };
+    }
+  } else {
+    const { account } = await authenticateApiKey(env, request);
+    if (!account) {
+      return { error: jsonResponse({ success: false, error: "缺少访问令牌" }, 401) };
+    }
+    if (record.account_id !== account.id) {
+      return { error: jsonResponse({ success: false, error: "该邮箱不属于当前账户" }, 403) };
+    }
+  }
+
+  if (!allowExpired && isAddressExpired(record)) {
+    return { error: jsonResponse({ success: false, error: "邮箱已过期", expired: true }, 410) };
+  }
+
+  // 通过校验后再按邮箱地址计数，未持有令牌的请求不会耗尽别人邮箱的额度
+  const limited = await enforceRateLimit(env, request, {
+    subject: `address:${address}`,
+    endpoint: new URL(request.url).pathname,
+    multiplier: CONFIG.RATE_LIMIT_TIERS.address,
+  });
+  if (limited) {
+    return { error: limited };
+  }
+
+  return { record };
+}
+
+/**
+ * 生成附件的签名下载地址
+ * 用于无法携带请求头的场景（如 HTML 邮件中的内联图片），以令牌摘要作为签名密钥
+ */
+export async function signAttachmentUrl(record, attachmentId) {
+  const expires = Date.now() + CONFIG.ATTACHMENT_URL_TTL_MS;
+  const signature = await hmacHex(record.token_hash, `${attachmentId}:${expires}`);
+  const params = new URLSearchParams({ address: record.address, id: attachmentId, expires, signature });
+  return `/api/attachment?${params}`;
+}
+
+/**
+ * 校验附件签名地址
+ */
+export async function verifyAttachmentSignature(env, address, attachmentId, expires, signature) {
+  if (!expires || Number(expires) < Date.now()) {
+    return false;
+  }
+
+  const record = await env.DB.prepare(`
+    SELECT token_hash, expires_at FROM generated_addresses WHERE address = ?
+  `).bind(address).first();
+
+  if (!record || !record.token_hash || isAddressExpired(record)) {
+    return false;
+  }
+
+  const expected = await hmacHex(record.token_hash, `${attachmentId}:${expires}`);
+  return timingSafeEqual(expected, signature);
+}
+
+/**
+ * 校验管理密钥（环境变量 ADMIN_SECRET），未配置时管理接口不可用
+ * @returns {Object} 成功时 {}，失败时 { error: Response }
+ */
+export async function authorizeAdmin(env, request) {
+  if (!env.ADMIN_SECRET) {
+    return { error: jsonResponse({ success: false, error: "管理接口未启用" }, 404) };
+  }
+
+  const token = request.headers.get(ADMIN_TOKEN_HEADER);
+  if (!token) {
+    return { error: jsonResponse({ success: false, error: "缺少管理密钥" }, 401) };
+  }
+
+  // 比较摘要，避免泄露密钥长度
+  const [tokenHash, secretHash] = await Promise.all([hashToken(token), hashToken(env.ADMIN_SECRET)]);
+  if (!timingSafeEqual(tokenHash, secretHash)) {
+    return { error: jsonResponse({ success: false, error: "管理密钥无效" }, 403) };
+  }
+
+  return {};
+}
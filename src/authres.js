@@ -0,0 +1,180 @@
+/**
+ * 邮件认证结果解析（RFC 8601 Authentication-Results、RFC 8617 ARC-Authentication-Results）
+ * 提取接收端给出的 SPF、DKIM、DMARC 判定结果
+ */
+
+// 未配置 AUTHSERV_ID 时采信的接收端（Cloudflare 邮件路由的收信服务器）
+const DEFAULT_AUTHSERV_ID = "mx.cloudflare.net";
+
+/**
+ * 采信的接收端标识（authserv-id），来自环境变量 AUTHSERV_ID，多个用逗号分隔
+ */
+export function getTrustedAuthservIds(env) {
+  const ids = (env.AUTHSERV_ID || DEFAULT_AUTHSERV_ID).split(",").map(id => id.trim().toLowerCase()).filter(Boolean);
+  return ids.length > 0 ? ids : [DEFAULT_AUTHSERV_ID];
+}
+
+/**
+ * 从头部列表解析认证结果
+ * 只采信 authserv-id 属于 trustedIds 的头部，其他头部可能由发件人伪造，一律忽略：
+ * 优先最上方（即离我们最近）的 Authentication-Results，其次实例号最大的 ARC-Authentication-Results，
+ * 最后是 receiver 匹配的 Received-SPF
+ * @param {Array<{name: string, value: string}>} headerList
+ * @param {string[]} trustedIds 采信的 authserv-id（小写）
+ * @returns {Object|null} { source, authservId, spf, dkim, dmarc }，没有可采信的认证头部时返回 null
+ */
+export function parseAuthResults(headerList, trustedIds) {
+  const trusted = verdicts => verdicts.authservId !== null && trustedIds.includes(verdicts.authservId.toLowerCase());
+  const named = name => headerList.filter(h => h.name.toLowerCase() === name);
+
+  for (const header of named("authentication-results")) {
+    const verdicts = parseAuthResultsHeader(header.value, "Authentication-Results");
+    if (trusted(verdicts)) {
+      return verdicts;
+    }
+  }
+
+  let arc = null;
+  let arcInstance = -1;
+  for (const header of named("arc-authentication-results")) {
+    // 去掉开头的实例号 "i=N;"
+    const instance = Number((/^\s*i\s*=\s*(\d+)\s*;/i.exec(header.value) || [])[1] || 0);
+    const verdicts = parseAuthResultsHeader(header.value.replace(/^\s*i\s*=\s*\d+\s*;/i, ""), "ARC-Authentication-Results");
+    if (trusted(verdicts) && instance > arcInstance) {
+      arc = verdicts;
+      arcInstance = instance;
+    }
+  }
+  if (arc) {
+    return arc;
+  }
+
+  // 只有 Received-SPF 时至少给出 SPF 结果，接收端取 receiver= 或注释开头的主机名
+  for (const header of named("received-spf")) {
+    const result = (/^\s*([a-z]+)/i.exec(header.value) || [])[1];
+    const receiver = (/\breceiver="?([^\s;"]+)/i.exec(header.value) || /^\s*[a-z]+\s*\(\s*([^\s:)]+)\s*:/i.exec(header.value) || [])[1];
+    if (result && receiver && trustedIds.includes(receiver.toLowerCase())) {
+      const domain = (/envelope-from=["<]?[^@\s;"]*@?([^\s;">]+)/i.exec(header.value) || [])[1] || null;
+      return {
+        source: "Received-SPF",
+        authservId: receiver,
+        spf: { result: result.toLowerCase(), domain },
+        dkim: [],
+        dmarc: null,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 解析单个 Authentication-Results 头部值
+ * 例如：mx.example.net; spf=pass smtp.mailfrom=a.com; dkim=pass header.d=a.com header.s=s1; dmarc=pass header.from=a.com
+ */
+function parseAuthResultsHeader(value, source = "Authentication-Results") {
+  const [authservPart, ...resultParts] = splitStatements(stripComments(value));
+  const verdicts = { source, authservId: authservPart.trim().split(/\s+/)[0] || null, spf: null, dkim: [], dmarc: null };
+
+  for (const part of resultParts) {
+    const tokens = part.trim().split(/\s+/).filter(Boolean);
+    const methodMatch = /^([a-z0-9-]+)(?:\/\d+)?=([a-z]+)$/i.exec(tokens[0] || "");
+    if (!methodMatch) continue;
+
+    const method = methodMatch[1].toLowerCase();
+    const result = methodMatch[2].toLowerCase();
+    const props = {};
+    for (const token of tokens.slice(1)) {
+      const eq = token.indexOf("=");
+      if (eq > 0) {
+        props[token.substring(0, eq).toLowerCase()] = token.substring(eq + 1).replace(/^"|"$/g, "");
+      }
+    }
+
+    if (method === "spf" && !verdicts.spf) {
+      verdicts.spf = { result, domain: domainOf(props["smtp.mailfrom"] || props["smtp.helo"]) };
+    } else if (method === "dkim") {
+      verdicts.dkim.push({
+        result,
+        domain: domainOf(props["header.d"] || props["header.i"]),
+        selector: props["header.s"] || null,
+      });
+    } else if (method === "dmarc" && !verdicts.dmarc) {
+      verdicts.dmarc = { result, domain: domainOf(props["header.from"]), policy: props["policy.dmarc"] || null };
+    }
+  }
+
+  return verdicts;
+}
+
+/**
+ * 每种认证的汇总结果，用于存储和筛选（DKIM 有任一签名通过即为 pass）
+ */
+export function summarizeAuthResults(verdicts) {
+  if (!verdicts) {
+    return { spf: null, dkim: null, dmarc: null };
+  }
+  return {
+    spf: verdicts.spf ? verdicts.spf.result : null,
+    dkim: verdicts.dkim.length === 0
+      ? null
+      : verdicts.dkim.some(d => d.result === "pass") ? "pass" : verdicts.dkim[0].result,
+    dmarc: verdicts.dmarc ? verdicts.dmarc.result : null,
+  };
+}
+
+/**
+ * 去掉 RFC 5322 注释（允许嵌套的括号内容）
+ */
+function stripComments(value) {
+  let output = "";
+  let depth = 0;
+  let quoted = false;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === "\\" && i + 1 < value.length) {
+      if (depth === 0) output += ch + value[i + 1];
+      i++;
+    } else if (ch === '"' && depth === 0) {
+      quoted = !quoted;
+      output += ch;
+    } else if (ch === "(" && !quoted) {
+      depth++;
+    } else if (ch === ")" && !quoted && depth > 0) {
+      depth--;
+      output += " ";
+    } else if (depth === 0) {
+      output += ch;
+    }
+  }
+  return output;
+}
+
+/**
+ * 按分号拆分（忽略引号内的分号）
+ */
+function splitStatements(value) {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+  for (const ch of value) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === ";" && !quoted) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * 取地址或域名中的域名部分
+ */
+function domainOf(value) {
+  if (!value) return null;
+  const at = value.lastIndexOf("@");
+  return (at >= 0 ? value.substring(at + 1) : value).toLowerCase() || null;
+}
@@ -0,0 +1,102 @@
+/**
+ * 过期数据清理（由定时任务和管理接口调用）
+ */
+
+import { CONFIG } from "./utils.js";
+import { deleteObjects } from "./storage.js";
+
+/**
+ * 清理过期的邮件和附件
+ * 邮件按批删除，避免单次任务耗时过长，未删完的由下一次定时任务继续
+ * @returns {Object} 各类记录的删除数量
+ */
+export async function cleanupOldEmails(env) {
+  const now = Date.now();
+  const addressExpireTime = now - CONFIG.ADDRESS_EXPIRE_MS;
+  const rateLimitExpireTime = now - CONFIG.RATE_LIMIT_WINDOW_MS * 2; // 保留 2 个窗口期的记录
+  
+  try {
+    let emailsDeleted = 0;
+    let objectsDeleted = 0;
+
+    for (let batch = 0; batch < CONFIG.CLEANUP_MAX_BATCHES; batch++) {
+      const expired = await env.DB.prepare(`
+        SELECT id, raw_key FROM emails WHERE expires_at <= ? LIMIT ?
+      `).bind(now, CONFIG.CLEANUP_BATCH_SIZE).all();
+
+      const rows = expired.results || [];
+      if (rows.length === 0) {
+        break;
+      }
+
+      // 先记录这批邮件在对象存储中的附件
+      const ids = rows.map(row => row.id);
+      const placeholders = ids.map(() => "?").join(", ");
+      const attachmentKeys = await env.DB.prepare(`
+        SELECT object_key FROM attachments WHERE email_id IN (${placeholders}) AND object_key IS NOT NULL
+      `).bind(...ids).all();
+
+      // 删除过期邮件（附件会通过 ON DELETE CASCADE 自动删除）
+      await env.DB.prepare(`
+        DELETE FROM emails WHERE id IN (${placeholders})
+      `).bind(...ids).run();
+      emailsDeleted += ids.length;
+
+      objectsDeleted += await deleteObjects(env, [
+        ...rows.map(row => row.raw_key),
+        ...(attachmentKeys.results || []).map(row => row.object_key),
+      ]);
+
+      if (rows.length < CONFIG.CLEANUP_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    console.log(`Deleted ${emailsDeleted} expired emails`);
+    if (objectsDeleted > 0) {
+      console.log(`Deleted ${objectsDeleted} stored objects`);
+    }
+    
+    // 清理生成地址记录表（过期后再保留 7 天，以防地址短期内被重新分配）
+    const addressResult = await env.DB.prepare(`
+      DELETE FROM generated_addresses WHERE expires_at < ?
+    `).bind(addressExpireTime).run();
+    
+    console.log(`Deleted ${addressResult.meta?.changes || 0} old address records`);
+
+    // 清理地址记录已过期的 webhook（推送记录级联删除），以及超过保留期的推送记录
+    await env.DB.prepare(`
+      DELETE FROM webhooks WHERE address NOT IN (SELECT address FROM generated_addresses)
+    `).run();
+
+    await env.DB.prepare(`
+      DELETE FROM webhook_deliveries WHERE created_at < ?
+    `).bind(addressExpireTime).run();
+
+    // 转发规则同样随地址记录清理（转发记录级联删除）
+    await env.DB.prepare(`
+      DELETE FROM forward_rules WHERE address NOT IN (SELECT address FROM generated_addresses)
+    `).run();
+
+    await env.DB.prepare(`
+      DELETE FROM forward_logs WHERE created_at < ?
+    `).bind(addressExpireTime).run();
+    
+    // 清理过期的速率限制记录
+    const rateLimitResult = await env.DB.prepare(`
+      DELETE FROM rate_limits WHERE window_start < ?
+    `).bind(rateLimitExpireTime).run();
+    
+    console.log(`Deleted ${rateLimitResult.meta?.changes || 0} old rate limit records`);
+    
+    return {
+      emailsDeleted,
+      objectsDeleted,
+      addressRecordsDeleted: addressResult.meta?.changes || 0,
+      rateLimitRecordsDeleted: rateLimitResult.meta?.changes || 0,
+    };
+  } catch (error) {
+    console.error("Error during cleanup:", error);
+    throw error;
+  }
+}
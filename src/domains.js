@@ -0,0 +1,183 @@
+/**
+ * 域名管理
+ * 域名保存在 D1 中，由管理接口维护，首次使用时用环境变量 DOMAINS 初始化一次，之后表为空表示没有域名；
+ * 每个 Worker 实例缓存一小段时间，管理接口修改后当前实例立即生效，其他实例在缓存过期后生效
+ */
+
+import { CONFIG, jsonResponse, getTtlBounds } from "./utils.js";
+
+let cache = null;
+
+/**
+ * 全部域名记录（含已停用和隐藏的），按添加顺序
+ */
+export async function listDomains(env) {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.domains;
+  }
+
+  const [result, seeded] = await env.DB.batch([
+    env.DB.prepare(`
+      SELECT * FROM domains ORDER BY created_at ASC, rowid ASC
+    `),
+    env.DB.prepare(`
+      SELECT value FROM settings WHERE key = 'domains_seeded'
+    `),
+  ]);
+  // 只初始化一次，之后表为空表示没有域名（管理员可以删除全部域名）
+  if ((seeded.results || []).length === 0) {
+    await seedDomains(env);
+    return listDomains(env);
+  }
+
+  cache = { domains: result.results || [], expiresAt: Date.now() + CONFIG.DOMAIN_CACHE_MS };
+  return cache.domains;
+}
+
+/**
+ * 管理接口修改域名后清除缓存
+ */
+export function invalidateDomainCache() {
+  cache = null;
+}
+
+/**
+ * 公开的域名列表（已启用且未隐藏）
+ */
+export async function getDomains(env) {
+  const domains = await listDomains(env);
+  return domains.filter(row => row.enabled === 1 && row.hidden !== 1).map(row => row.domain);
+}
+
+/**
+ * 地址或域名对应的已启用域名记录
+ * @param {string} address 邮箱地址，或 "@" 加域名
+ * @returns {Object|null} 域名不存在或已停用时返回 null
+ */
+export async function findDomain(env, address) {
+  if (!address) return null;
+  const lower = address.toLowerCase();
+  const domain = lower.substring(lower.lastIndexOf("@") + 1);
+  const domains = await listDomains(env);
+  return domains.find(row => row.domain === domain && row.enabled === 1) || null;
+}
+
+/**
+ * 检查是否为允许的域名（已启用，隐藏的域名也允许）
+ */
+export async function isAllowedDomain(address, env) {
+  return (await findDomain(env, address)) !== null;
+}
+
+/**
+ * 检查域名的有效邮箱数是否已达上限
+ * @returns {Object} 未达上限时 {}，否则 { error: Response }
+ */
+export async function checkDomainQuota(env, domain) {
+  if (!domain.max_addresses) {
+    return {};
+  }
+
+  const result = await env.DB.prepare(`
+    SELECT COUNT(*) AS count FROM generated_addresses
+    WHERE address LIKE ? AND destroyed_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+  `).bind(`%@${domain.domain}`, Date.now()).first();
+
+  if ((result?.count || 0) >= domain.max_addresses) {
+    return {
+      error: jsonResponse({ success: false, error: `域名 ${domain.domain} 的邮箱数已达上限` }, 400),
+    };
+  }
+  return {};
+}
+
+/**
+ * 校验并规范化域名设置
+ * @param {Object} input { domain, enabled, hidden, defaultTtl（秒）, maxAddresses }
+ * @param {Object} existing 更新时的原记录，未提供的字段保持不变
+ * @returns {Object} 成功时 { domain }（数据库字段），失败时 { error: string }
+ */
+export function normalizeDomain(input, env, existing = null) {
+  const domain = existing
+    ? existing.domain
+    : typeof input.domain === "string" ? input.domain.trim().toLowerCase() : "";
+  if (domain.length > 253 || !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+    return { error: "domain 必须是有效的域名" };
+  }
+
+  for (const name of ["enabled", "hidden"]) {
+    if (input[name] !== undefined && typeof input[name] !== "boolean") {
+      return { error: `${name} 必须是 true 或 false` };
+    }
+  }
+
+  let defaultTtl = existing ? existing.default_ttl : null;
+  if (input.defaultTtl !== undefined) {
+    const bounds = getTtlBounds(env);
+    defaultTtl = input.defaultTtl === null ? null : input.defaultTtl * 1000;
+    if (defaultTtl !== null && !(Number.isInteger(input.defaultTtl) && defaultTtl >= bounds.min && defaultTtl <= bounds.max)) {
+      return { error: `defaultTtl 需在 ${bounds.min / 1000} 到 ${bounds.max / 1000} 秒之间，或为 null 使用全局默认值` };
+    }
+  }
+
+  let maxAddresses = existing ? existing.max_addresses : null;
+  if (input.maxAddresses !== undefined) {
+    maxAddresses = input.maxAddresses;
+    if (maxAddresses !== null && !(Number.isInteger(maxAddresses) && maxAddresses >= 1 && maxAddresses <= 1000000)) {
+      return { error: "maxAddresses 必须是 1 到 1000000 的整数，或为 null 表示不限" };
+    }
+  }
+
+  const flag = (name, column, fallback) => {
+    if (input[name] !== undefined) return input[name] ? 1 : 0;
+    return existing ? existing[column] : fallback;
+  };
+
+  return {
+    domain: {
+      domain,
+      enabled: flag("enabled", "enabled", 1),
+      hidden: flag("hidden", "hidden", 0),
+      default_ttl: defaultTtl,
+      max_addresses: maxAddresses,
+    },
+  };
+}
+
+/**
+ * 域名的 API 表示（有效期以秒为单位）
+ */
+export function formatDomain(row) {
+  return {
+    domain: row.domain,
+    enabled: row.enabled === 1,
+    hidden: row.hidden === 1,
+    defaultTtl: row.default_ttl ? row.default_ttl / 1000 : null,
+    maxAddresses: row.max_addresses || null,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
+/**
+ * 用环境变量 DOMAINS 初始化域名表，并记下已初始化（未配置 DOMAINS 时也记下）
+ * 批量语句在同一事务中执行，并发初始化时只有先执行的一次会导入
+ */
+async function seedDomains(env) {
+  const domains = [...new Set((env.DOMAINS || "").split(",").map(d => d.trim().toLowerCase()).filter(Boolean))];
+  const now = Date.now();
+  const results = await env.DB.batch([
+    ...domains.map(domain => env.DB.prepare(`
+      INSERT INTO domains (domain, enabled, hidden, created_at, updated_at)
+      SELECT ?, 1, 0, ?, ? WHERE NOT EXISTS (SELECT 1 FROM settings WHERE key = 'domains_seeded')
+      ON CONFLICT (domain) DO NOTHING
+    `).bind(domain, now, now)),
+    env.DB.prepare(`
+      INSERT INTO settings (key, value, updated_at) VALUES ('domains_seeded', '1', ?)
+      ON CONFLICT (key) DO NOTHING
+    `).bind(now),
+  ]);
+  if (results.slice(0, -1).some(result => result.meta?.changes)) {
+    console.log(`Seeded domains from DOMAINS: ${domains.join(", ")}`);
+  }
+}
@@ -2,329 +2,77 @@
  * 邮件接收处理（Cloudflare Email Routing）
  */
 
-import { generateId, parseEmailAddress, isAllowedDomain, extractPreview, htmlToText } from "./utils.js";
+import { generateId, parseEmailAddress, extractPreview, htmlToText, getTtlBounds } from "./utils.js";
+import { findDomain } from "./domains.js";
+import { queueWebhookDeliveries, deliverWebhooks } from "./webhooks.js";
+import { extractCodes, extractLinks } from "./extract.js";
+import { readRawEmail, parseMimeMessage, extractContent } from "./mime.js";
+import { putRawEmail, putAttachment, deleteObjects } from "./storage.js";
+import { parseAuthResults, summarizeAuthResults, getTrustedAuthservIds } from "./authres.js";
+import { isAddressExpired } from "./auth.js";
+import { applyIngestRules } from "./rules.js";
+import { scoreMessage, getSpamThreshold } from "./spam.js";
+import { forwardEmail } from "./forwarding.js";
+import { resolveRecipient } from "./routing.js";
 
 /**
  * 解析 MIME 邮件内容
  */
 async function parseMimeEmail(message) {
-  const rawEmail = await new Response(message.raw).text();
-  
-  // 分离头部和正文
-  const headerEndIndex = rawEmail.indexOf("\r\n\r\n");
-  const headersRaw = headerEndIndex > 0 ? rawEmail.substring(0, headerEndIndex) : rawEmail;
-  const bodyRaw = headerEndIndex > 0 ? rawEmail.substring(headerEndIndex + 4) : "";
-
-  // 解析头部
-  const headers = parseHeaders(headersRaw);
-  
-  // 解析正文
-  const contentType = headers["content-type"] || "text/plain";
-  const transferEncoding = headers["content-transfer-encoding"] || "";
-  const { textContent, htmlContent, attachments } = parseBody(bodyRaw, contentType, transferEncoding);
+  const rawBytes = await readRawEmail(message.raw);
+  const root = parseMimeMessage(rawBytes);
+  const { textContent, htmlContent, attachments } = extractContent(root);
 
   return {
-    headers,
+    headers: root.headers,
+    headerList: root.headerList,
     textContent,
     htmlContent,
     attachments,
-    rawEmail,
-  };
-}
-
-/**
- * 解析邮件头部
- */
-function parseHeaders(headersRaw) {
-  const headers = {};
-  const lines = headersRaw.split(/\r?\n/);
-  let currentKey = "";
-  let currentValue = "";
-
-  for (const line of lines) {
-    if (/^\s/.test(line)) {
-      // 续行
-      currentValue += " " + line.trim();
-    } else {
-      if (currentKey) {
-        headers[currentKey.toLowerCase()] = decodeMimeHeader(currentValue);
-      }
-      const colonIndex = line.indexOf(":");
-      if (colonIndex > 0) {
-        currentKey = line.substring(0, colonIndex).trim();
-        currentValue = line.substring(colonIndex + 1).trim();
-      }
-    }
-  }
-  if (currentKey) {
-    headers[currentKey.toLowerCase()] = decodeMimeHeader(currentValue);
-  }
-
-  return headers;
-}
-
-/**
- * 解码 MIME 编码的头部（支持多字符集）
- */
-function decodeMimeHeader(str) {
-  if (!str) return "";
-  
-  const mimeRegex = /=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi;
-  return str.replace(mimeRegex, (match, charset, encoding, text) => {
-    try {
-      if (encoding.toUpperCase() === "B") {
-        return decodeBase64(text, charset);
-      } else if (encoding.toUpperCase() === "Q") {
-        return decodeQuotedPrintable(text.replace(/_/g, " "), charset);
-      }
-    } catch (e) {}
-    return match;
-  });
-}
-
-/**
- * 从 Content-Type 中提取字符集
- */
-function extractCharset(contentType) {
-  if (!contentType) return "utf-8";
-  const match = contentType.match(/charset=["']?([^"';\s]+)["']?/i);
-  return match ? match[1] : "utf-8";
-}
-
-/**
- * 获取 TextDecoder，支持多种字符集
- */
-function getTextDecoder(charset) {
-  const normalizedCharset = (charset || "utf-8").toLowerCase().replace(/[^a-z0-9-]/g, "");
-  
-  // 常见字符集映射
-  const charsetMap = {
-    "gbk": "gbk",
-    "gb2312": "gbk",
-    "gb18030": "gb18030",
-    "big5": "big5",
-    "iso88591": "iso-8859-1",
-    "iso-8859-1": "iso-8859-1",
-    "windows1252": "windows-1252",
-    "windows-1252": "windows-1252",
-    "utf8": "utf-8",
-    "utf-8": "utf-8",
+    rawBytes,
   };
-  
-  const decoderCharset = charsetMap[normalizedCharset] || "utf-8";
-  
-  try {
-    return new TextDecoder(decoderCharset);
-  } catch (e) {
-    // 如果不支持该字符集，回退到 UTF-8
-    return new TextDecoder("utf-8");
-  }
 }
 
 /**
- * Base64 解码为文本（支持多字符集）
- */
-function decodeBase64(str, charset = "utf-8") {
-  try {
-    const binary = atob(str.replace(/\s/g, ""));
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
-    }
-    return getTextDecoder(charset).decode(bytes);
-  } catch (e) {
-    return str;
-  }
-}
-
-/**
- * Base64 解码为二进制数据（用于附件）
- */
-function decodeBase64ToBinary(str) {
-  try {
-    const cleaned = str.replace(/\s/g, "");
-    const binary = atob(cleaned);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
-    }
-    return bytes;
-  } catch (e) {
-    // 解码失败，返回原始字符串的字节
-    const encoder = new TextEncoder();
-    return encoder.encode(str);
-  }
-}
-
-/**
- * Quoted-Printable 解码（支持多字符集）
+ * 处理接收到的邮件
  */
-function decodeQuotedPrintable(str, charset = "utf-8") {
+export async function handleEmail(message, env, ctx) {
   try {
-    // 先处理软换行
-    const cleaned = str.replace(/=\r?\n/g, "");
+    // 获取收件人地址
+    const toAddress = message.to.toLowerCase();
     
-    // 收集所有字节
-    const bytes = [];
-    let i = 0;
-    while (i < cleaned.length) {
-      if (cleaned[i] === "=" && i + 2 < cleaned.length) {
-        const hex = cleaned.substring(i + 1, i + 3);
-        if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
-          bytes.push(parseInt(hex, 16));
-          i += 3;
-          continue;
-        }
-      }
-      bytes.push(cleaned.charCodeAt(i));
-      i++;
+    // 检查是否为允许的域名（已停用的域名不收信）
+    const domain = await findDomain(env, toAddress);
+    if (!domain) {
+      console.log(`Rejected email to ${toAddress}: domain not allowed`);
+      return;
     }
-    
-    return getTextDecoder(charset).decode(new Uint8Array(bytes));
-  } catch (e) {
-    return str;
-  }
-}
-
-/**
- * 解析邮件正文
- */
-function parseBody(bodyRaw, contentType, transferEncoding = "") {
-  let textContent = "";
-  let htmlContent = "";
-  const attachments = [];
 
-  const contentTypeLower = contentType.toLowerCase();
-
-  if (contentTypeLower.includes("multipart")) {
-    // 多部分邮件
-    const boundaryMatch = contentType.match(/boundary=["']?([^"';\s]+)["']?/i);
-    if (boundaryMatch) {
-      const boundary = boundaryMatch[1];
-      const parts = parseMultipart(bodyRaw, boundary);
-
-      for (const part of parts) {
-        const partType = (part.headers["content-type"] || "").toLowerCase();
-        const disposition = (part.headers["content-disposition"] || "").toLowerCase();
-        const transferEncoding = part.headers["content-transfer-encoding"] || "";
-
-        if (disposition.includes("attachment")) {
-          // 附件 - 根据 Transfer-Encoding 解码
-          const filenameMatch = disposition.match(/filename=["']?([^"';\r\n]+)["']?/i);
-          const encoding = (transferEncoding || "").toLowerCase();
-          
-          let content;
-          let size;
-          
-          if (encoding.includes("base64")) {
-            // Base64 编码的附件，解码为二进制
-            content = decodeBase64ToBinary(part.body);
-            size = content.length;
-          } else if (encoding.includes("quoted-printable")) {
-            // Quoted-Printable 编码
-            const decoded = decodeQuotedPrintable(part.body);
-            const encoder = new TextEncoder();
-            content = encoder.encode(decoded);
-            size = content.length;
-          } else {
-            // 无编码或 7bit/8bit，直接存储
-            const encoder = new TextEncoder();
-            content = encoder.encode(part.body);
-            size = content.length;
-          }
-          
-          attachments.push({
-            filename: decodeMimeHeader(filenameMatch ? filenameMatch[1] : "attachment"),
-            contentType: partType.split(";")[0].trim(),
-            content: content,
-            size: size,
-          });
-        } else if (partType.includes("text/html")) {
-          const charset = extractCharset(part.headers["content-type"]);
-          htmlContent = decodeContent(part.body, transferEncoding, charset);
-        } else if (partType.includes("text/plain")) {
-          const charset = extractCharset(part.headers["content-type"]);
-          textContent = decodeContent(part.body, transferEncoding, charset);
-        } else if (partType.includes("multipart")) {
-          // 嵌套 multipart
-          const nestedBoundaryMatch = partType.match(/boundary=["']?([^"';\s]+)["']?/i);
-          if (nestedBoundaryMatch) {
-            const nestedParts = parseMultipart(part.body, nestedBoundaryMatch[1]);
-            for (const nested of nestedParts) {
-              const nestedType = (nested.headers["content-type"] || "").toLowerCase();
-              const nestedEncoding = nested.headers["content-transfer-encoding"] || "";
-              const nestedCharset = extractCharset(nested.headers["content-type"]);
-              if (nestedType.includes("text/html")) {
-                htmlContent = decodeContent(nested.body, nestedEncoding, nestedCharset);
-              } else if (nestedType.includes("text/plain")) {
-                textContent = decodeContent(nested.body, nestedEncoding, nestedCharset);
-              }
-            }
-          }
-        }
-      }
+    // 收信规则（黑白名单、大小上限），命中时退信，不解析也不保存
+    const rejection = await applyIngestRules(env, { from: message.from, to: toAddress, size: message.rawSize });
+    if (rejection) {
+      console.log(`Rejected email to ${toAddress} from ${message.from}: ${rejection}`);
+      message.setReject(rejection);
+      return;
     }
-  } else if (contentTypeLower.includes("text/html")) {
-    const charset = extractCharset(contentType);
-    htmlContent = decodeContent(bodyRaw, transferEncoding, charset);
-  } else {
-    const charset = extractCharset(contentType);
-    textContent = decodeContent(bodyRaw, transferEncoding, charset);
-  }
-
-  return { textContent, htmlContent, attachments };
-}
-
-/**
- * 解析多部分内容
- */
-function parseMultipart(body, boundary) {
-  const parts = [];
-  const boundaryDelimiter = `--${boundary}`;
-  const sections = body.split(boundaryDelimiter);
-
-  for (let i = 1; i < sections.length; i++) {
-    const section = sections[i].trim();
-    if (section.startsWith("--") || !section) continue;
-
-    const headerEndIndex = section.indexOf("\r\n\r\n");
-    if (headerEndIndex === -1) continue;
-
-    const partHeaders = parseHeaders(section.substring(0, headerEndIndex));
-    const partBody = section.substring(headerEndIndex + 4).replace(/\r\n$/, "");
 
-    parts.push({ headers: partHeaders, body: partBody });
-  }
+    // 按收件路由和域名的收件策略确定投递的邮箱，加号标签单独保存
+    const recipient = await resolveRecipient(env, toAddress);
+    if (recipient.reject) {
+      console.log(`Rejected email to ${toAddress}: ${recipient.reject}`);
+      message.setReject(recipient.reject);
+      return;
+    }
+    const address = recipient.address;
 
-  return parts;
-}
+    // 已过期的邮箱拒收
+    const addressRecord = await env.DB.prepare(`
+      SELECT expires_at FROM generated_addresses WHERE address = ?
+    `).bind(address).first();
 
-/**
- * 解码内容
- */
-function decodeContent(content, transferEncoding, charset = "utf-8") {
-  if (!content) return "";
-  
-  const encoding = (transferEncoding || "").toLowerCase();
-  if (encoding.includes("base64")) {
-    return decodeBase64(content, charset);
-  } else if (encoding.includes("quoted-printable")) {
-    return decodeQuotedPrintable(content, charset);
-  }
-  return content;
-}
-
-/**
- * 处理接收到的邮件
- */
-export async function handleEmail(message, env) {
-  try {
-    // 获取收件人地址
-    const toAddress = message.to.toLowerCase();
-    
-    // 检查是否为允许的域名
-    if (!isAllowedDomain(toAddress, env)) {
-      console.log(`Rejected email to ${toAddress}: domain not allowed`);
+    if (addressRecord && isAddressExpired(addressRecord)) {
+      console.log(`Rejected email to ${address}: address expired`);
+      message.setReject("Address expired");
       return;
     }
 
@@ -336,47 +84,138 @@ export async function handleEmail(message, env) {
     const id = generateId();
     const now = Date.now();
 
+    // 邮件随邮箱一起过期，未生成过的地址使用收件域名的默认有效期
+    const expiresAt = addressRecord?.expires_at || now + getTtlBounds(env, domain).default;
+
     // 获取文本内容
     let textContent = parsed.textContent;
     if (!textContent && parsed.htmlContent) {
       textContent = htmlToText(parsed.htmlContent);
     }
 
-    // 存储邮件到 D1
-    await env.DB.prepare(`
-      INSERT INTO emails (id, address, from_address, from_name, subject, text_content, html_content, raw_email, has_attachments, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    const subject = parsed.headers["subject"] || "(无主题)";
+
+    // 提取验证码和操作链接
+    const codes = extractCodes({ subject: parsed.headers["subject"], text: parsed.textContent, html: parsed.htmlContent });
+    const links = extractLinks({ text: parsed.textContent, html: parsed.htmlContent });
+
+    // 解析接收端的 SPF / DKIM / DMARC 认证结果，只采信 AUTHSERV_ID 指定的接收端
+    const authResults = parseAuthResults(parsed.headerList, getTrustedAuthservIds(env));
+    const authSummary = summarizeAuthResults(authResults);
+
+    // 垃圾邮件评分，超过阈值的放入隔离区
+    const spam = await scoreMessage(env, {
+      envelopeFrom: message.from,
+      fromAddress: fromParsed.email,
+      headers: parsed.headers,
+      auth: authSummary,
+      subject: parsed.headers["subject"],
+      text: textContent,
+      html: parsed.htmlContent,
+    });
+    const folder = spam.score >= getSpamThreshold(env) ? "quarantine" : "inbox";
+
+    // 配置了 R2 时原文和附件写入对象存储，D1 只保存对象键
+    const rawKey = await putRawEmail(env, id, parsed.rawBytes);
+    const attachmentRecords = [];
+    for (const attachment of parsed.attachments) {
+      const attachmentId = generateId();
+      const objectKey = await putAttachment(env, id, attachmentId, attachment);
+      attachmentRecords.push({ id: attachmentId, objectKey, attachment });
+    }
+
+    // 邮件和附件在同一事务中写入 D1（全文搜索索引由触发器维护），避免留下缺少附件的邮件
+    const statements = [env.DB.prepare(`
+      INSERT INTO emails (id, address, to_address, plus_tag, from_address, from_name, subject, text_content, html_content, raw_email, raw_key, raw_size, headers, has_attachments, codes, links,
+        auth_results, spf_result, dkim_result, dmarc_result, folder, spam_score, spam_reasons, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       id,
-      toAddress,
+      address,
+      // 改投或去掉加号标签时保留原收件人
+      address === toAddress ? null : toAddress,
+      recipient.plusTag,
       fromParsed.email,
       fromParsed.name,
-      parsed.headers["subject"] || "(无主题)",
+      subject,
       textContent,
       parsed.htmlContent,
-      parsed.rawEmail,
-      parsed.attachments.length > 0 ? 1 : 0,
-      now
-    ).run();
-
-    // 存储附件
-    for (const attachment of parsed.attachments) {
-      const attachmentId = generateId();
-      await env.DB.prepare(`
-        INSERT INTO attachments (id, email_id, filename, content_type, size, content, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+      // 原文按字节保存，保证下载的 .eml 与收到的完全一致
+      rawKey ? null : parsed.rawBytes,
+      rawKey,
+      parsed.rawBytes.length,
+      JSON.stringify(parsed.headerList),
+      // 内联资源不计入附件
+      parsed.attachments.some(attachment => !attachment.inline) ? 1 : 0,
+      JSON.stringify(codes),
+      JSON.stringify(links),
+      authResults ? JSON.stringify(authResults) : null,
+      authSummary.spf,
+      authSummary.dkim,
+      authSummary.dmarc,
+      folder,
+      spam.score,
+      JSON.stringify(spam.reasons),
+      now,
+      expiresAt
+    )];
+
+    for (const { id: attachmentId, objectKey, attachment } of attachmentRecords) {
+      statements.push(env.DB.prepare(`
+        INSERT INTO attachments (id, email_id, filename, content_type, size, content, object_key, content_id, is_inline, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).bind(
         attachmentId,
         id,
         attachment.filename,
         attachment.contentType,
         attachment.size,
-        attachment.content,
+        objectKey ? null : attachment.content,
+        objectKey,
+        attachment.contentId || null,
+        attachment.inline ? 1 : 0,
         now
-      ).run();
+      ));
     }
 
-    console.log(`Email saved: ${id} to ${toAddress} from ${fromParsed.email}`);
+    try {
+      await env.DB.batch(statements);
+    } catch (error) {
+      // 写入失败时删除已上传的对象，不留下没有记录的原文和附件
+      await deleteObjects(env, [rawKey, ...attachmentRecords.map(record => record.objectKey)]);
+      throw error;
+    }
+
+    console.log(`Email saved: ${id} to ${address} from ${fromParsed.email} (${folder}, spam score ${spam.score})`);
+
+    // 隔离的邮件不转发，也不触发 webhook
+    if (folder === "quarantine") {
+      return;
+    }
+
+    // 按已验证的转发规则转发，失败只记录，不影响保存和 webhook
+    try {
+      await forwardEmail(env, message, { id, address, fromAddress: fromParsed.email, subject });
+    } catch (error) {
+      console.error("Error forwarding email:", error);
+    }
+
+    // 触发 webhook，首次发送在后台进行，失败的由定时任务重试
+    const deliveries = await queueWebhookDeliveries(env, {
+      id,
+      address,
+      plusTag: recipient.plusTag,
+      fromAddress: fromParsed.email,
+      fromName: fromParsed.name,
+      subject,
+      textContent,
+      codes,
+      links,
+      createdAt: now,
+    });
+    if (deliveries.length > 0) {
+      ctx.waitUntil(deliverWebhooks(env, deliveries));
+    }
   } catch (error) {
     console.error("Error handling email:", error);
   }
@@ -0,0 +1,131 @@
+/**
+ * 验证码与操作链接提取
+ * 在入库时从主题、纯文本和 HTML 中识别一次性验证码和确认/登录链接
+ */
+
+import { htmlToText } from "./utils.js";
+
+// 最多保存的验证码/链接数量
+const MAX_CODES = 5;
+const MAX_LINKS = 5;
+
+// 验证码关键词前后的搜索范围（字符数）
+const CODE_WINDOW_AFTER = 80;
+const CODE_WINDOW_BEFORE = 40;
+
+// 验证码关键词
+const CODE_KEYWORDS = /verification|verify|one[- ]time|passcode|password|\botp\b|\bpin\b|\bcode\b|security code|login code|验证码|校验码|动态码|确认码|安全码|登录码|驗證碼|認證碼|代码|コード|인증/gi;
+
+// 验证码候选：4-8 位数字（允许 3-3、4-4 分组），或 4-10 位含数字的大写字母数字组合
+const CODE_CANDIDATE = /(?<![\w-])(\d{3}[- ]\d{3}|\d{4}[- ]\d{4}|\d{4,8}|(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{4,10})(?![\w-])/g;
+
+// 操作链接关键词（锚文本或 URL）
+const ACTION_KEYWORDS = /verify|verification|confirm|activate|activation|validate|magic|sign[- ]?in|log[- ]?in|reset|password|invite|accept|approve|continue|验证|確認|确认|激活|登录|登入|重置|邀请|继续/i;
+
+// 非操作链接（退订、隐私等）
+const IGNORED_LINK_KEYWORDS = /unsubscribe|preferences|privacy|terms|help|support|退订|取消订阅|隐私|条款|帮助/i;
+
+/**
+ * 提取一次性验证码
+ * @returns {Array<string>} 按可信度排序的验证码
+ */
+export function extractCodes({ subject = "", text = "", html = "" }) {
+  const sources = [subject, text, htmlToText(html)].filter(Boolean);
+  const scored = new Map();
+
+  for (const source of sources) {
+    for (const keyword of source.matchAll(CODE_KEYWORDS)) {
+      const start = Math.max(0, keyword.index - CODE_WINDOW_BEFORE);
+      const end = Math.min(source.length, keyword.index + keyword[0].length + CODE_WINDOW_AFTER);
+      const window = source.substring(start, end);
+
+      for (const candidate of window.matchAll(CODE_CANDIDATE)) {
+        const code = candidate[1].replace(/[- ]/g, "");
+        if (isUnlikelyCode(code, window, candidate.index)) continue;
+
+        // 关键词之后的候选优先，距离越近分数越高
+        const position = start + candidate.index;
+        const distance = position >= keyword.index
+          ? position - keyword.index
+          : (keyword.index - position) * 2;
+        const score = 1000 - distance + (/^\d+$/.test(code) ? 10 : 0);
+        scored.set(code, Math.max(scored.get(code) || 0, score));
+      }
+    }
+  }
+
+  return [...scored.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CODES)
+    .map(([code]) => code);
+}
+
+/**
+ * 排除年份、时间、金额等常见误判
+ */
+function isUnlikelyCode(code, window, index) {
+  if (/^(19|20)\d{2}$/.test(code)) return true;
+  const before = window.substring(Math.max(0, index - 2), index);
+  const after = window.substring(index, index + code.length + 3);
+  if (/[$¥€£#]\s?$/.test(before)) return true;
+  if (/^\d+(?:[:.,/]\d)/.test(after)) return true;
+  return false;
+}
+
+/**
+ * 提取主要操作链接（验证、确认、登录等）
+ * @returns {Array<{url: string, text: string}>} 按相关度排序的链接
+ */
+export function extractLinks({ text = "", html = "" }) {
+  const candidates = [];
+
+  if (html) {
+    const anchorRegex = /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+    for (const match of html.matchAll(anchorRegex)) {
+      candidates.push({ url: decodeEntities(match[2].trim()), text: htmlToText(match[3]) });
+    }
+  }
+
+  if (text) {
+    const urlRegex = /https?:\/\/[^\s<>"')\]]+/gi;
+    for (const match of text.matchAll(urlRegex)) {
+      // 纯文本中以链接所在行前面的文字作为说明，链接独占一行时取上一行
+      const lineStart = text.lastIndexOf("\n", match.index - 1);
+      let context = text.substring(lineStart + 1, match.index);
+      if (!context.trim() && lineStart > 0) {
+        context = text.substring(text.lastIndexOf("\n", lineStart - 1) + 1, lineStart);
+      }
+      context = context.replace(urlRegex, "").trim();
+      candidates.push({ url: match[0].replace(/[.,;:]+$/, ""), text: context });
+    }
+  }
+
+  const scored = new Map();
+  for (const candidate of candidates) {
+    if (!/^https?:\/\//i.test(candidate.url)) continue;
+    if (IGNORED_LINK_KEYWORDS.test(candidate.text) || IGNORED_LINK_KEYWORDS.test(candidate.url)) continue;
+
+    let score = 0;
+    if (ACTION_KEYWORDS.test(candidate.text)) score += 2;
+    if (ACTION_KEYWORDS.test(candidate.url)) score += 1;
+    if (/[?&](token|code|key|otp)=/i.test(candidate.url)) score += 1;
+    if (score === 0) continue;
+
+    const existing = scored.get(candidate.url);
+    if (!existing || existing.score < score) {
+      scored.set(candidate.url, { url: candidate.url, text: candidate.text.substring(0, 100), score });
+    }
+  }
+
+  return [...scored.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_LINKS)
+    .map(({ url, text }) => ({ url, text }));
+}
+
+function decodeEntities(str) {
+  return str
+    .replace(/&amp;/g, "&")
+    .replace(/&#x3D;|&#61;/gi, "=")
+    .replace(/&quot;/g, '"');
+}
@@ -0,0 +1,114 @@
+/**
+ * 邮件转发
+ * 邮箱可以把收到的邮件转发到真实邮箱；目标邮箱确认验证码后规则才生效，避免被用作中转
+ */
+
+import { CONFIG, generateId } from "./utils.js";
+import { hashToken } from "./auth.js";
+import { sendMail } from "./mailer.js";
+
+/**
+ * 按已验证的规则转发邮件，并记录每次转发的结果
+ * 必须在邮件处理函数返回前调用（message.forward 只能在此期间使用）
+ * @param {Object} email { id, address, fromAddress, subject }
+ * @returns {number} 成功转发的目标数
+ */
+export async function forwardEmail(env, message, email) {
+  const result = await env.DB.prepare(`
+    SELECT id, destination, from_filter, subject_filter FROM forward_rules
+    WHERE address = ? AND verified_at IS NOT NULL
+    ORDER BY created_at ASC
+  `).bind(email.address).all();
+
+  const rules = (result.results || []).filter(rule => matchesFilters(rule, email));
+  if (rules.length === 0) {
+    return 0;
+  }
+
+  const logs = [];
+  for (const rule of rules) {
+    try {
+      await message.forward(rule.destination);
+      logs.push({ rule, status: "success", error: null });
+    } catch (error) {
+      console.error(`Error forwarding email ${email.id} to ${rule.destination}:`, error);
+      logs.push({ rule, status: "failed", error: String(error.message || error).substring(0, 500) });
+    }
+  }
+
+  const now = Date.now();
+  await env.DB.batch(logs.map(({ rule, status, error }) => env.DB.prepare(`
+    INSERT INTO forward_logs (id, rule_id, email_id, destination, status, error, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(generateId(), rule.id, email.id, rule.destination, status, error, now)));
+
+  return logs.filter(log => log.status === "success").length;
+}
+
+/**
+ * 生成新的验证码并发送到目标邮箱，之前的验证码失效
+ * 尝试次数不清零，发送次数累加，由调用方在发送前检查规则是否已锁定
+ * 发信失败时抛出异常
+ */
+export async function sendForwardVerification(env, rule) {
+  const bytes = new Uint32Array(1);
+  crypto.getRandomValues(bytes);
+  const code = String(bytes[0] % 1000000).padStart(6, "0");
+  const now = Date.now();
+
+  await env.DB.prepare(`
+    UPDATE forward_rules SET code_hash = ?, code_expires_at = ?, verify_sends = verify_sends + 1 WHERE id = ?
+  `).bind(await hashToken(code), now + CONFIG.FORWARD_CODE_TTL_MS, rule.id).run();
+
+  const minutes = Math.round(CONFIG.FORWARD_CODE_TTL_MS / 60000);
+  await sendMail(env, {
+    from: rule.address,
+    to: rule.destination,
+    subject: `邮件转发验证码：${code}`,
+    text: `您的验证码是：${code}\n\n临时邮箱 ${rule.address} 请求将收到的邮件转发到本邮箱，`
+      + `请在 ${minutes} 分钟内输入验证码完成确认。\n如果不是您本人的操作，请忽略这封邮件，不会有任何邮件被转发给您。\n`,
+  });
+}
+
+/**
+ * 未验证的规则是否已锁定：尝试次数用完，或发送次数用完且最后一个验证码已失效
+ * 锁定的规则不能再发送或验证验证码，也不能删除后重新添加，随邮箱一起清理
+ */
+export function isForwardRuleLocked(rule) {
+  if (rule.verified_at) {
+    return false;
+  }
+  if ((rule.verify_attempts || 0) >= CONFIG.FORWARD_VERIFY_MAX_ATTEMPTS) {
+    return true;
+  }
+  return (rule.verify_sends || 0) >= CONFIG.FORWARD_VERIFY_MAX_SENDS && !(rule.code_hash && rule.code_expires_at >= Date.now());
+}
+
+/**
+ * 转发规则的 API 表示
+ */
+export function formatForwardRule(row) {
+  return {
+    id: row.id,
+    destination: row.destination,
+    from: row.from_filter || null,
+    subject: row.subject_filter || null,
+    verified: Boolean(row.verified_at),
+    locked: isForwardRuleLocked(row),
+    verifiedAt: row.verified_at ? new Date(row.verified_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+/**
+ * 发件人（地址）和主题按子串匹配，不区分大小写
+ */
+function matchesFilters(rule, { fromAddress, subject }) {
+  if (rule.from_filter && !(fromAddress || "").toLowerCase().includes(rule.from_filter.toLowerCase())) {
+    return false;
+  }
+  if (rule.subject_filter && !(subject || "").toLowerCase().includes(rule.subject_filter.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
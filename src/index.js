@@ -4,18 +4,46 @@
  */
 
 import { handleEmail } from "./email.js";
+import {
+  generateToken,
+  hashToken,
+  authorizeAddress,
+  authenticateApiKey,
+  TOKEN_HEADER,
+  timingSafeEqual,
+  signAttachmentUrl,
+  verifyAttachmentSignature,
+} from "./auth.js";
+import { retryPendingWebhooks } from "./webhooks.js";
+import { sanitizeHtml } from "./sanitize.js";
+import { getRawEmail, putRawEmail, readAttachment, readAttachmentBytes, deleteObjects, collectObjectKeys } from "./storage.js";
+import { cleanupOldEmails } from "./cleanup.js";
+import { handleAdminApi } from "./admin.js";
+import { sendForwardVerification, formatForwardRule, isForwardRuleLocked } from "./forwarding.js";
+import { canSendMail, sendMail } from "./mailer.js";
+import { checkAccountQuota, listAccountAddresses, formatAccount } from "./accounts.js";
+import { getDomains, findDomain, isAllowedDomain, checkDomainQuota } from "./domains.js";
+import { isRouteTarget } from "./routing.js";
+import { enforceRateLimit, withRateLimitHeaders } from "./ratelimit.js";
+import { readRawEmail, parseRawHeaders } from "./mime.js";
 import {
   CONFIG,
-  getDomains,
   generateId,
   generatePrefix,
-  isAllowedDomain,
+  parseEmailAddress,
   jsonResponse,
   corsResponse,
   extractPreview,
   getClientIP,
-  checkRateLimit,
-  rateLimitResponse,
+  readJson,
+  parseJsonArray,
+  bytesToBase64,
+  parseCursor,
+  parseRange,
+  parseTtl,
+  getTtlBounds,
+  invalidTtlResponse,
+  formatCursor,
 } from "./utils.js";
 
 export default {
@@ -26,16 +54,17 @@ export default {
     const url = new URL(request.url);
     const path = url.pathname;
 
+    // API 路由（含 CORS 预检），响应带上本次请求的速率限制头部
+    if (path.startsWith("/api/")) {
+      const response = request.method === "OPTIONS" ? corsResponse() : await handleApi(path, url, env, request);
+      return withRateLimitHeaders(env, request, response);
+    }
+
     // CORS 预检
     if (request.method === "OPTIONS") {
       return corsResponse();
     }
 
-    // API 路由
-    if (path.startsWith("/api/")) {
-      return handleApi(path, url, env, request);
-    }
-
     // 静态资源
     return env.ASSETS.fetch(request);
   },
@@ -44,11 +73,12 @@ export default {
    * 邮件接收处理（Email Routing）
    */
   async email(message, env, ctx) {
-    await handleEmail(message, env);
+    await handleEmail(message, env, ctx);
   },
 
   /**
-   * 定时任务处理 - 自动清理旧邮件
+   * 定时任务处理 - 清理过期邮件、重试 webhook 推送
+   * 每次触发都会分批清理，保证邮件在过期后几分钟内被删除
    */
   async scheduled(event, env, ctx) {
     try {
@@ -58,6 +88,15 @@ export default {
     } catch (error) {
       console.error("Cleanup job failed:", error);
     }
+
+    if (event.cron === CONFIG.WEBHOOK_RETRY_CRON) {
+      try {
+        const stats = await retryPendingWebhooks(env);
+        console.log(`Webhook retry job: ${stats.succeeded}/${stats.attempted} delivered`);
+      } catch (error) {
+        console.error("Webhook retry job failed:", error);
+      }
+    }
   },
 };
 
@@ -69,31 +108,66 @@ async function handleApi(path, url, env, request) {
   const clientIP = getClientIP(request);
   
   try {
-    // GET /api/domains - 获取域名列表（不限制速率）
+    // GET /api/domains - 获取域名列表（不含隐藏的域名），只按 IP 计数
     if (path === "/api/domains") {
-      const domains = getDomains(env);
-      return jsonResponse({ domains });
+      const limited = await enforceRateLimit(env, request, { subject: clientIP, endpoint: path, multiplier: CONFIG.RATE_LIMIT_TIERS.ip });
+      if (limited) {
+        return limited;
+      }
+
+      const domains = await getDomains(env);
+      const ttl = getTtlBounds(env);
+      // 有效期范围以秒为单位返回
+      return jsonResponse({ domains, ttl: { min: ttl.min / 1000, max: ttl.max / 1000, default: ttl.default / 1000 } });
     }
 
-    // 对需要速率限制的端点进行检查
-    const rateLimitedEndpoints = ["/api/generate", "/api/inbox", "/api/message", "/api/delete"];
-    if (rateLimitedEndpoints.includes(path)) {
-      const rateLimit = await checkRateLimit(env, clientIP, path);
-      if (!rateLimit.allowed) {
-        return rateLimitResponse(rateLimit.resetAt);
+    // /api/admin/* - 管理接口（需要管理密钥），按一个端点统一限制速率
+    if (path.startsWith("/api/admin/")) {
+      const limited = await enforceRateLimit(env, request, { subject: clientIP, endpoint: path });
+      if (limited) {
+        return limited;
       }
+      return handleAdminApi(path, url, env, request);
+    }
+
+    // 其余接口都限制速率：携带有效 API 密钥的请求按账户计数并使用更高的上限，其余按 IP 计数；
+    // 访问邮箱的请求在校验令牌后另按邮箱地址计数（见 authorizeAddress）
+    const apiKey = await authenticateApiKey(env, request);
+    const account = apiKey.account || null;
+    const limited = account
+      ? await enforceRateLimit(env, request, { subject: `account:${account.id}`, endpoint: path, multiplier: account.rateLimitMultiplier })
+      : await enforceRateLimit(env, request, { subject: clientIP, endpoint: path, multiplier: CONFIG.RATE_LIMIT_TIERS.ip });
+    if (limited) {
+      return limited;
+    }
+
+    // 携带的 API 密钥无效时直接拒绝，不回退为匿名访问
+    if (apiKey.error) {
+      return apiKey.error;
     }
 
     // GET /api/generate - 生成随机邮箱（防重复）
     if (path === "/api/generate") {
-      const domains = getDomains(env);
       const customPrefix = url.searchParams.get("prefix");
-      let domain = url.searchParams.get("domain");
-      
-      if (!domain || !domains.includes(domain.toLowerCase())) {
-        domain = domains[Math.floor(Math.random() * domains.length)];
-      } else {
-        domain = domain.toLowerCase();
+
+      // 指定的域名可以是隐藏的域名；未指定或不可用时从公开的域名中随机选择未达上限的
+      const picked = await pickDomain(env, url.searchParams.get("domain"));
+      if (picked.error) {
+        return picked.error;
+      }
+      const domain = picked.domain.domain;
+
+      const ttl = parseTtl(url.searchParams.get("ttl"), env, picked.domain);
+      if (ttl === null) {
+        return invalidTtlResponse(env);
+      }
+
+      // 携带 API 密钥时邮箱归属于账户
+      if (account) {
+        const quota = await checkAccountQuota(env, account);
+        if (quota.error) {
+          return quota.error;
+        }
       }
 
       let address;
@@ -123,7 +197,7 @@ async function handleApi(path, url, env, request) {
           SELECT address FROM emails WHERE address = ? LIMIT 1
         `).bind(address).first();
         
-        if (existingGenerated || existingEmail) {
+        if (existingGenerated || existingEmail || await isRouteTarget(env, address)) {
           return jsonResponse({ 
             success: false, 
             error: "该邮箱地址已被使用，请尝试其他前缀" 
@@ -155,13 +229,280 @@ async function handleApi(path, url, env, request) {
         }
       }
 
-      // 记录生成的邮箱地址
+      // 记录生成的邮箱地址、访问令牌及有效期
+      const token = generateToken();
+      const now = Date.now();
+      const expiresAt = now + ttl;
+      await env.DB.prepare(`
+        INSERT INTO generated_addresses (address, token_hash, account_id, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).bind(address, await hashToken(token), account?.id || null, now, expiresAt).run();
+
+      return jsonResponse({ success: true, address, prefix, domain, token, expiresAt: new Date(expiresAt).toISOString() });
+    }
+
+    // POST /api/claim - 认领从未生成过的邮箱（如手动输入的地址），获取访问令牌
+    if (path === "/api/claim") {
+      if (method !== "POST") {
+        return jsonResponse({ success: false, error: "请使用 POST 方法" }, 405);
+      }
+
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      const domain = await findDomain(env, address);
+      if (!domain) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const ttl = parseTtl(url.searchParams.get("ttl"), env, domain);
+      if (ttl === null) {
+        return invalidTtlResponse(env);
+      }
+
+      const domainQuota = await checkDomainQuota(env, domain);
+      if (domainQuota.error) {
+        return domainQuota.error;
+      }
+
+      if (account) {
+        const quota = await checkAccountQuota(env, account);
+        if (quota.error) {
+          return quota.error;
+        }
+      }
+
+      const addressLower = address.toLowerCase();
+
+      // 已收到过邮件的地址不能认领，否则猜中地址的人可以读取此前的全部邮件（与自定义前缀的检查一致）
+      const existingEmail = await env.DB.prepare(`
+        SELECT id FROM emails WHERE address = ? LIMIT 1
+      `).bind(addressLower).first();
+      if (existingEmail) {
+        return jsonResponse({ success: false, error: "该邮箱已收到过邮件，无法认领" }, 409);
+      }
+      // 收件路由的目标由管理员使用，认领后可以读取改投过去的邮件
+      if (await isRouteTarget(env, addressLower)) {
+        return jsonResponse({ success: false, error: "该邮箱是收件路由的目标，无法认领" }, 409);
+      }
+
+      const token = generateToken();
+      const now = Date.now();
+      const expiresAt = now + ttl;
+
+      // 仅当地址还没有令牌时写入，已认领的地址不会被覆盖
+      const result = await env.DB.prepare(`
+        INSERT INTO generated_addresses (address, token_hash, account_id, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (address)
+        DO UPDATE SET token_hash = excluded.token_hash, account_id = excluded.account_id, expires_at = excluded.expires_at
+        WHERE generated_addresses.token_hash IS NULL AND generated_addresses.destroyed_at IS NULL
+      `).bind(addressLower, await hashToken(token), account?.id || null, now, expiresAt).run();
+
+      if (!result.meta?.changes) {
+        return jsonResponse({ success: false, error: "该邮箱已被认领" }, 409);
+      }
+
+      return jsonResponse({ success: true, address: addressLower, token, expiresAt: new Date(expiresAt).toISOString() });
+    }
+
+    // POST /api/address/extend - 延长邮箱有效期（已过期但未被清理的邮箱也可续期）
+    if (path === "/api/address/extend") {
+      if (method !== "POST") {
+        return jsonResponse({ success: false, error: "请使用 POST 方法" }, 405);
+      }
+
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      const domain = await findDomain(env, address);
+      if (!domain) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const ttl = parseTtl(url.searchParams.get("ttl"), env, domain);
+      if (ttl === null) {
+        return invalidTtlResponse(env);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request, { allowExpired: true });
+      if (auth.error) {
+        return auth.error;
+      }
+
+      // 从当前过期时间（已过期则从现在）起延长，剩余时间不超过有效期上限
+      const now = Date.now();
+      const base = Math.max(auth.record.expires_at || now, now);
+      const expiresAt = Math.min(base + ttl, now + getTtlBounds(env).max);
+
+      await env.DB.batch([
+        env.DB.prepare(`
+          UPDATE generated_addresses SET expires_at = ? WHERE address = ?
+        `).bind(expiresAt, addressLower),
+        env.DB.prepare(`
+          UPDATE emails SET expires_at = ? WHERE address = ?
+        `).bind(expiresAt, addressLower),
+      ]);
+
+      return jsonResponse({ success: true, address: addressLower, expiresAt: new Date(expiresAt).toISOString() });
+    }
+
+    // DELETE /api/address - 销毁邮箱，删除全部邮件和附件
+    if (path === "/api/address") {
+      if (method !== "DELETE") {
+        return jsonResponse({ success: false, error: "请使用 DELETE 方法" }, 405);
+      }
+
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request, { allowExpired: true });
+      if (auth.error) {
+        return auth.error;
+      }
+
+      const count = await env.DB.prepare(`
+        SELECT COUNT(*) AS total FROM emails WHERE address = ?
+      `).bind(addressLower).first();
+
+      // 对象存储中的原文和附件需单独删除
+      const objectKeys = await env.DB.prepare(`
+        SELECT raw_key AS key FROM emails WHERE address = ? AND raw_key IS NOT NULL
+        UNION ALL
+        SELECT a.object_key AS key FROM attachments a
+        INNER JOIN emails e ON a.email_id = e.id
+        WHERE e.address = ? AND a.object_key IS NOT NULL
+      `).bind(addressLower, addressLower).all();
+
+      // 在同一事务中删除邮件（附件级联删除）、webhook 和转发规则，并将地址记录标记为墓碑：
+      // 清除令牌、立即过期，保留期结束前不能被重新认领或生成
+      const now = Date.now();
+      await env.DB.batch([
+        env.DB.prepare(`
+          DELETE FROM emails WHERE address = ?
+        `).bind(addressLower),
+        env.DB.prepare(`
+          DELETE FROM webhooks WHERE address = ?
+        `).bind(addressLower),
+        env.DB.prepare(`
+          DELETE FROM forward_rules WHERE address = ?
+        `).bind(addressLower),
+        env.DB.prepare(`
+          UPDATE generated_addresses SET token_hash = NULL, expires_at = ?, destroyed_at = ? WHERE address = ?
+        `).bind(now, now, addressLower),
+      ]);
+
+      await deleteObjects(env, (objectKeys.results || []).map(row => row.key));
+
+      return jsonResponse({
+        success: true,
+        message: "邮箱已销毁",
+        emailsDeleted: count?.total || 0,
+      });
+    }
+
+    // GET /api/account - 当前 API 密钥所属的账户
+    if (path === "/api/account") {
+      if (!account) {
+        return jsonResponse({ success: false, error: "需要 API 密钥" }, 401);
+      }
+
+      const row = await env.DB.prepare(`
+        SELECT a.*, (
+          SELECT COUNT(*) FROM generated_addresses g
+          WHERE g.account_id = a.id AND g.destroyed_at IS NULL AND (g.expires_at IS NULL OR g.expires_at > ?)
+        ) AS active_addresses
+        FROM accounts a WHERE a.id = ?
+      `).bind(Date.now(), account.id).first();
+
+      return jsonResponse({
+        success: true,
+        account: formatAccount(row),
+        addresses: { active: row.active_addresses, max: CONFIG.ACCOUNT_MAX_ADDRESSES },
+      });
+    }
+
+    // /api/account/addresses - 账户下的邮箱：GET 列出（含未读数），POST 用访问令牌把已有邮箱加入账户
+    if (path === "/api/account/addresses") {
+      if (!account) {
+        return jsonResponse({ success: false, error: "需要 API 密钥" }, 401);
+      }
+
+      if (method === "GET") {
+        const limit = parseInt(url.searchParams.get("limit"), 10) || CONFIG.ACCOUNT_PAGE_LIMIT;
+        if (limit < 1 || limit > CONFIG.ACCOUNT_PAGE_LIMIT) {
+          return jsonResponse({ success: false, error: `limit 需在 1 到 ${CONFIG.ACCOUNT_PAGE_LIMIT} 之间` }, 400);
+        }
+        const offset = Math.max(parseInt(url.searchParams.get("offset"), 10) || 0, 0);
+
+        const { addresses, hasMore } = await listAccountAddresses(env, account.id, { limit, offset });
+        return jsonResponse({
+          success: true,
+          addresses,
+          unread: addresses.reduce((sum, item) => sum + item.unread, 0),
+          hasMore,
+          nextOffset: hasMore ? offset + limit : null,
+        });
+      }
+
+      if (method !== "POST") {
+        return jsonResponse({ success: false, error: "请使用 GET 或 POST 方法" }, 405);
+      }
+
+      const address = url.searchParams.get("address");
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      // 必须出示邮箱的访问令牌，证明请求方拥有该邮箱
+      if (!request.headers.get(TOKEN_HEADER)) {
+        return jsonResponse({ success: false, error: "缺少访问令牌" }, 401);
+      }
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      if (auth.record.account_id === account.id) {
+        return jsonResponse({ success: true, address: addressLower, message: "邮箱已在账户中" });
+      }
+      if (auth.record.account_id) {
+        return jsonResponse({ success: false, error: "该邮箱已属于其他账户" }, 409);
+      }
+
+      const quota = await checkAccountQuota(env, account);
+      if (quota.error) {
+        return quota.error;
+      }
+
       await env.DB.prepare(`
-        INSERT INTO generated_addresses (address, created_at)
-        VALUES (?, ?)
-      `).bind(address, Date.now()).run();
+        UPDATE generated_addresses SET account_id = ? WHERE address = ? AND account_id IS NULL
+      `).bind(account.id, addressLower).run();
 
-      return jsonResponse({ success: true, address, prefix, domain });
+      return jsonResponse({ success: true, address: addressLower, message: "邮箱已加入账户" });
     }
 
     // GET /api/inbox - 获取收件箱
@@ -172,38 +513,112 @@ async function handleApi(path, url, env, request) {
         return jsonResponse({ success: false, error: "请提供邮箱地址", messages: [] }, 400);
       }
 
-      if (!isAllowedDomain(address, env)) {
+      if (!(await isAllowedDomain(address, env))) {
         return jsonResponse({ success: false, error: "不支持的域名", messages: [] }, 400);
       }
 
       const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
       
-      // 查询邮件列表
+      const filters = parseInboxFilters(url, addressLower);
+      if (filters.error) {
+        return filters.error;
+      }
+      const { conditions, params } = filters;
+
+      // 翻页：before 为上一页最后一封邮件的游标 "<created_at>,<id>"
+      const beforeParam = url.searchParams.get("before");
+      if (beforeParam) {
+        const before = parseCursor(beforeParam);
+        if (!before) {
+          return jsonResponse({ success: false, error: "无效的分页游标", messages: [] }, 400);
+        }
+        conditions.push("(created_at < ? OR (created_at = ? AND id < ?))");
+        params.push(before.createdAt, before.createdAt, before.id);
+      }
+
+      const limitParam = url.searchParams.get("limit");
+      const limit = limitParam ? parseInt(limitParam, 10) : CONFIG.INBOX_LIMIT;
+      if (!(limit >= 1 && limit <= CONFIG.INBOX_LIMIT)) {
+        return jsonResponse({ success: false, error: `limit 需在 1 到 ${CONFIG.INBOX_LIMIT} 之间`, messages: [] }, 400);
+      }
+
+      // 查询邮件列表，多取一条用于判断是否还有下一页
       const result = await env.DB.prepare(`
-        SELECT id, address, from_address, from_name, subject, text_content, has_attachments, created_at
+        SELECT id, address, from_address, from_name, subject, text_content, has_attachments, codes, links,
+          spf_result, dkim_result, dmarc_result, is_read, is_starred, folder, spam_score, spam_reasons, to_address, plus_tag, created_at
         FROM emails
-        WHERE address = ?
-        ORDER BY created_at DESC
-        LIMIT ${CONFIG.INBOX_LIMIT}
-      `).bind(addressLower).all();
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `).bind(...params, limit + 1).all();
 
-      const messages = (result.results || []).map(row => ({
-        id: row.id,
-        from: row.from_name ? `${row.from_name} <${row.from_address}>` : row.from_address,
-        subject: row.subject,
-        preview: extractPreview(row.text_content),
-        date: new Date(row.created_at).toISOString(),
-        hasAttachments: row.has_attachments === 1,
-      }));
+      const rows = result.results || [];
+      const hasMore = rows.length > limit;
+      const pageRows = rows.slice(0, limit);
+      const messages = await attachLabels(env, pageRows.map(toMessageSummary));
+      const lastRow = pageRows[pageRows.length - 1];
+
+      // 未读数、隔离邮件数和标签统计不受筛选条件影响，未读数只统计收件箱
+      const [counts, labels] = await env.DB.batch([
+        env.DB.prepare(`
+          SELECT SUM(CASE WHEN folder = 'inbox' AND is_read = 0 THEN 1 ELSE 0 END) AS unread,
+            SUM(CASE WHEN folder = 'quarantine' THEN 1 ELSE 0 END) AS quarantined
+          FROM emails WHERE address = ?
+        `).bind(addressLower),
+        env.DB.prepare(`
+          SELECT l.label, COUNT(*) AS count FROM email_labels l
+          INNER JOIN emails e ON l.email_id = e.id
+          WHERE e.address = ?
+          GROUP BY l.label ORDER BY l.label
+        `).bind(addressLower),
+      ]);
 
       return jsonResponse({
         success: true,
         address: addressLower,
+        expiresAt: auth.record.expires_at ? new Date(auth.record.expires_at).toISOString() : null,
         messages,
         count: messages.length,
+        hasMore,
+        nextCursor: hasMore ? formatCursor(lastRow.created_at, lastRow.id) : null,
+        unreadCount: counts.results?.[0]?.unread || 0,
+        quarantineCount: counts.results?.[0]?.quarantined || 0,
+        labels: (labels.results || []).map(row => ({ name: row.label, count: row.count })),
       });
     }
 
+    // GET /api/inbox/stream - 新邮件实时推送（Server-Sent Events）
+    if (path === "/api/inbox/stream") {
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      // 断线重连时从 Last-Event-ID 继续，首次连接可用 since 指定游标，否则只推送之后的新邮件
+      const cursor = parseCursor(request.headers.get("Last-Event-ID"))
+        || parseCursor(url.searchParams.get("since"))
+        || { createdAt: Date.now(), id: "" };
+
+      return streamInbox(env, addressLower, cursor);
+    }
+
     // GET /api/message - 获取邮件详情
     if (path === "/api/message") {
       const address = url.searchParams.get("address");
@@ -213,12 +628,17 @@ async function handleApi(path, url, env, request) {
         return jsonResponse({ success: false, error: "请提供邮箱地址和邮件ID" }, 400);
       }
 
-      if (!isAllowedDomain(address, env)) {
+      if (!(await isAllowedDomain(address, env))) {
         return jsonResponse({ success: false, error: "不支持的域名" }, 400);
       }
 
       const addressLower = address.toLowerCase();
 
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
       // 查询邮件
       const email = await env.DB.prepare(`
         SELECT * FROM emails WHERE id = ? AND address = ?
@@ -228,83 +648,82 @@ async function handleApi(path, url, env, request) {
         return jsonResponse({ success: false, error: "邮件不存在" }, 404);
       }
 
-      // 查询附件
-      const attachmentsResult = await env.DB.prepare(`
-        SELECT id, filename, content_type, size FROM attachments WHERE email_id = ?
-      `).bind(id).all();
-
-      const attachments = (attachmentsResult.results || []).map(att => ({
-        id: att.id,
-        filename: att.filename,
-        contentType: att.content_type,
-        size: att.size,
-      }));
+      // 打开即标记为已读，markRead=0 时只查看不改变状态
+      if (email.is_read !== 1 && url.searchParams.get("markRead") !== "0") {
+        await env.DB.prepare(`
+          UPDATE emails SET is_read = 1 WHERE id = ?
+        `).bind(id).run();
+        email.is_read = 1;
+      }
 
+      // 远程资源默认拦截，remote=1 时放行
       return jsonResponse({
         success: true,
-        message: {
-          id: email.id,
-          from: email.from_name ? `${email.from_name} <${email.from_address}>` : email.from_address,
-          to: email.address,
-          subject: email.subject,
-          text: email.text_content,
-          html: email.html_content,
-          date: new Date(email.created_at).toISOString(),
-          attachments,
-        },
+        message: await buildMessageDetail(env, email, auth.record, { allowRemote: url.searchParams.get("remote") === "1" }),
       });
     }
 
-    // GET /api/attachment - 下载附件（需要验证邮箱归属）
-    if (path === "/api/attachment") {
-      const id = url.searchParams.get("id");
+    // GET /api/wait - 等待匹配的邮件到达（长轮询，供自动化测试使用）
+    if (path === "/api/wait") {
       const address = url.searchParams.get("address");
 
-      if (!id) {
-        return jsonResponse({ success: false, error: "请提供附件ID" }, 400);
-      }
-
       if (!address) {
         return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
       }
 
-      if (!isAllowedDomain(address, env)) {
+      if (!(await isAllowedDomain(address, env))) {
         return jsonResponse({ success: false, error: "不支持的域名" }, 400);
       }
 
       const addressLower = address.toLowerCase();
 
-      // 查询附件并验证邮箱归属
-      const attachment = await env.DB.prepare(`
-        SELECT a.* FROM attachments a
-        INNER JOIN emails e ON a.email_id = e.id
-        WHERE a.id = ? AND e.address = ?
-      `).bind(id, addressLower).first();
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
 
-      if (!attachment) {
-        return jsonResponse({ success: false, error: "附件不存在或无权访问" }, 404);
+      const timeoutParam = url.searchParams.get("timeout");
+      const timeout = timeoutParam ? Number(timeoutParam) : CONFIG.WAIT_DEFAULT_TIMEOUT_S;
+      if (!(Number.isInteger(timeout) && timeout >= 1 && timeout <= CONFIG.WAIT_MAX_TIMEOUT_S)) {
+        return jsonResponse({ success: false, error: `timeout 需在 1 到 ${CONFIG.WAIT_MAX_TIMEOUT_S} 秒之间` }, 400);
       }
 
-      // 对文件名进行 RFC 5987 编码以支持中文
-      const encodedFilename = encodeURIComponent(attachment.filename).replace(/'/g, "%27");
-      
-      return new Response(attachment.content, {
-        headers: {
-          "Content-Type": attachment.content_type || "application/octet-stream",
-          "Content-Disposition": `attachment; filename*=UTF-8''${encodedFilename}`,
-          "Cache-Control": "private, max-age=3600",
-        },
+      // 只检查 since 之后收到的邮件，默认为发起请求的时刻
+      const sinceParam = url.searchParams.get("since");
+      const since = sinceParam ? parseTimestamp(sinceParam) : Date.now();
+      if (since === null) {
+        return jsonResponse({ success: false, error: "since 必须是时间戳或 ISO 时间" }, 400);
+      }
+
+      const email = await waitForMessage(env, addressLower, {
+        since,
+        from: (url.searchParams.get("from") || "").trim(),
+        subject: (url.searchParams.get("subject") || "").trim(),
+        tag: (url.searchParams.get("tag") || "").trim().toLowerCase(),
+      }, timeout * 1000);
+
+      if (!email) {
+        return jsonResponse({
+          success: false,
+          error: `等待 ${timeout} 秒仍未收到匹配的邮件`,
+          timeout: true,
+        }, 408);
+      }
+
+      return jsonResponse({
+        success: true,
+        message: await buildMessageDetail(env, email, auth.record),
       });
     }
 
-    // DELETE /api/delete - 删除邮件（支持 DELETE 和 POST 方法）
-    if (path === "/api/delete") {
-      // 只允许 DELETE 或 POST 方法
-      if (method !== "DELETE" && method !== "POST") {
-        return jsonResponse({ 
-          success: false, 
-          error: "请使用 DELETE 或 POST 方法" 
-        }, 405);
+    // POST /api/message/flags - 设置单封邮件的已读/星标状态
+    // POST /api/message/labels - 为单封邮件添加或移除标签
+    // POST /api/message/release - 将邮件移出隔离区
+    // POST /api/message/report - 标记为垃圾邮件或正常邮件，并用于训练垃圾邮件模型
+    if (path === "/api/message/flags" || path === "/api/message/labels"
+      || path === "/api/message/release" || path === "/api/message/report") {
+      if (method !== "POST") {
+        return jsonResponse({ success: false, error: "请使用 POST 方法" }, 405);
       }
 
       const address = url.searchParams.get("address");
@@ -314,76 +733,1459 @@ async function handleApi(path, url, env, request) {
         return jsonResponse({ success: false, error: "请提供邮箱地址和邮件ID" }, 400);
       }
 
-      if (!isAllowedDomain(address, env)) {
+      if (!(await isAllowedDomain(address, env))) {
         return jsonResponse({ success: false, error: "不支持的域名" }, 400);
       }
 
       const addressLower = address.toLowerCase();
 
-      // 先检查邮件是否存在
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      // 移出隔离区不需要请求体
+      const body = path === "/api/message/release" ? {} : await readJson(request);
+      if (!body) {
+        return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+      }
+
       const email = await env.DB.prepare(`
-        SELECT id FROM emails WHERE id = ? AND address = ?
+        SELECT id, is_read, is_starred, folder FROM emails WHERE id = ? AND address = ?
       `).bind(id, addressLower).first();
 
       if (!email) {
-        return jsonResponse({ success: false, error: "邮件不存在或无权删除" }, 404);
+        return jsonResponse({ success: false, error: "邮件不存在" }, 404);
       }
 
-      // 删除邮件（附件会通过外键级联删除）
-      await env.DB.prepare(`
-        DELETE FROM emails WHERE id = ? AND address = ?
-      `).bind(id, addressLower).run();
+      if (path === "/api/message/release") {
+        if (email.folder !== "quarantine") {
+          return jsonResponse({ success: false, error: "邮件不在隔离区" }, 400);
+        }
 
-      return jsonResponse({ success: true, message: "邮件已删除" });
-    }
+        await env.DB.prepare(`
+          UPDATE emails SET folder = 'inbox' WHERE id = ?
+        `).bind(id).run();
 
-    // 404
-    return jsonResponse({ error: "Not Found" }, 404);
+        return jsonResponse({ success: true, id, folder: "inbox" });
+      }
 
-  } catch (error) {
-    console.error("API Error:", error);
-    return jsonResponse({ success: false, error: "服务器错误" }, 500);
-  }
-}
+      if (path === "/api/message/report") {
+        if (typeof body.spam !== "boolean") {
+          return jsonResponse({ success: false, error: "spam 必须是 true 或 false" }, 400);
+        }
+        if (email.folder === "sent") {
+          return jsonResponse({ success: false, error: "已发送的邮件不能标记为垃圾邮件" }, 400);
+        }
 
-/**
- * 清理超过 24 小时的旧邮件和附件
- */
-async function cleanupOldEmails(env) {
-  const now = Date.now();
-  const emailExpireTime = now - CONFIG.EMAIL_EXPIRE_MS;
-  const addressExpireTime = now - CONFIG.ADDRESS_EXPIRE_MS;
-  const rateLimitExpireTime = now - CONFIG.RATE_LIMIT_WINDOW_MS * 2; // 保留 2 个窗口期的记录
-  
-  try {
-    // 删除过期邮件（附件会通过 ON DELETE CASCADE 自动删除）
-    const result = await env.DB.prepare(`
-      DELETE FROM emails WHERE created_at < ?
-    `).bind(emailExpireTime).run();
-    
-    console.log(`Deleted ${result.changes || 0} old emails`);
-    
-    // 清理生成地址记录表（保留最近 7 天的记录以防短期内重复）
-    const addressResult = await env.DB.prepare(`
-      DELETE FROM generated_addresses WHERE created_at < ?
-    `).bind(addressExpireTime).run();
-    
-    console.log(`Deleted ${addressResult.changes || 0} old address records`);
-    
-    // 清理过期的速率限制记录
-    const rateLimitResult = await env.DB.prepare(`
-      DELETE FROM rate_limits WHERE window_start < ?
-    `).bind(rateLimitExpireTime).run();
-    
-    console.log(`Deleted ${rateLimitResult.changes || 0} old rate limit records`);
-    
-    return {
-      emailsDeleted: result.changes || 0,
-      addressRecordsDeleted: addressResult.changes || 0,
-      rateLimitRecordsDeleted: rateLimitResult.changes || 0,
-    };
-  } catch (error) {
-    console.error("Error during cleanup:", error);
-    throw error;
-  }
+        // 垃圾邮件移入隔离区，正常邮件移回收件箱；标记记为举报，由管理员审核后再训练模型
+        const verdict = body.spam ? "spam" : "ham";
+        const folder = body.spam ? "quarantine" : "inbox";
+        await env.DB.prepare(`
+          UPDATE emails SET folder = ?, spam_verdict = ? WHERE id = ?
+        `).bind(folder, verdict, id).run();
+
+        return jsonResponse({ success: true, id, folder, verdict });
+      }
+
+      if (path === "/api/message/flags") {
+        const { read, starred } = body;
+        if ((read !== undefined && typeof read !== "boolean") || (starred !== undefined && typeof starred !== "boolean")) {
+          return jsonResponse({ success: false, error: "read 和 starred 必须是 true 或 false" }, 400);
+        }
+        if (read === undefined && starred === undefined) {
+          return jsonResponse({ success: false, error: "请提供 read 或 starred" }, 400);
+        }
+
+        const isRead = read === undefined ? email.is_read === 1 : read;
+        const isStarred = starred === undefined ? email.is_starred === 1 : starred;
+
+        await env.DB.prepare(`
+          UPDATE emails SET is_read = ?, is_starred = ? WHERE id = ?
+        `).bind(isRead ? 1 : 0, isStarred ? 1 : 0, id).run();
+
+        return jsonResponse({ success: true, id, read: isRead, starred: isStarred });
+      }
+
+      const add = normalizeLabels(body.add);
+      const remove = normalizeLabels(body.remove);
+      if (!add || !remove) {
+        return jsonResponse({
+          success: false,
+          error: `标签必须是字符串数组，每个标签 1 到 ${CONFIG.LABEL_MAX_LENGTH} 个字符`,
+        }, 400);
+      }
+      if (add.length === 0 && remove.length === 0) {
+        return jsonResponse({ success: false, error: "请提供要添加（add）或移除（remove）的标签" }, 400);
+      }
+
+      const existing = await env.DB.prepare(`
+        SELECT label FROM email_labels WHERE email_id = ?
+      `).bind(id).all();
+      const current = new Set((existing.results || []).map(row => row.label));
+      remove.forEach(label => current.delete(label));
+      add.forEach(label => current.add(label));
+
+      if (current.size > CONFIG.LABEL_MAX_PER_MESSAGE) {
+        return jsonResponse({
+          success: false,
+          error: `每封邮件最多 ${CONFIG.LABEL_MAX_PER_MESSAGE} 个标签`,
+        }, 400);
+      }
+
+      // 先移除再添加，同一标签同时出现在两边时以添加为准
+      const now = Date.now();
+      await env.DB.batch([
+        ...remove.map(label => env.DB.prepare(`
+          DELETE FROM email_labels WHERE email_id = ? AND label = ?
+        `).bind(id, label)),
+        ...add.map(label => env.DB.prepare(`
+          INSERT OR IGNORE INTO email_labels (email_id, label, created_at) VALUES (?, ?, ?)
+        `).bind(id, label, now)),
+      ]);
+
+      const labels = await env.DB.prepare(`
+        SELECT label FROM email_labels WHERE email_id = ? ORDER BY created_at ASC
+      `).bind(id).all();
+
+      return jsonResponse({ success: true, id, labels: (labels.results || []).map(row => row.label) });
+    }
+
+    // POST /api/send - 从临时邮箱发信，可回复已收到的邮件；发出的邮件保存在已发送（sent）文件夹
+    if (path === "/api/send") {
+      if (method !== "POST") {
+        return jsonResponse({ success: false, error: "请使用 POST 方法" }, 405);
+      }
+
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      const body = await readJson(request);
+      if (!body) {
+        return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+      }
+
+      // 回复时收件人和主题默认取自原邮件，并设置 In-Reply-To / References 以保持会话
+      let original = null;
+      if (body.inReplyTo !== undefined) {
+        if (typeof body.inReplyTo !== "string" || !body.inReplyTo) {
+          return jsonResponse({ success: false, error: "inReplyTo 必须是邮件ID" }, 400);
+        }
+        original = await env.DB.prepare(`
+          SELECT * FROM emails WHERE id = ? AND address = ?
+        `).bind(body.inReplyTo, addressLower).first();
+        if (!original) {
+          return jsonResponse({ success: false, error: "要回复的邮件不存在" }, 404);
+        }
+      }
+
+      const originalHeaders = original ? await loadHeaders(env, original) : [];
+      const originalHeader = name => originalHeaders.find(h => h.name.toLowerCase() === name)?.value || "";
+
+      let to = typeof body.to === "string" ? body.to.trim().toLowerCase() : "";
+      if (!to && original) {
+        to = original.folder === "sent"
+          ? original.to_address
+          : parseEmailAddress(originalHeader("reply-to")).email || original.from_address;
+      }
+      if (!/^[^\s@<>,]+@[^\s@<>,]+\.[^\s@<>,]+$/.test(to || "")) {
+        return jsonResponse({ success: false, error: "请提供有效的收件人地址" }, 400);
+      }
+
+      let subject = body.subject;
+      if (subject === undefined && original) {
+        subject = /^re:/i.test(original.subject) ? original.subject : `Re: ${original.subject}`;
+      }
+      if (typeof subject !== "string" || subject.length > CONFIG.SEND_MAX_SUBJECT_LENGTH || /[\r\n]/.test(subject)) {
+        return jsonResponse({ success: false, error: `主题必须是不超过 ${CONFIG.SEND_MAX_SUBJECT_LENGTH} 个字符的单行文本` }, 400);
+      }
+
+      const text = body.text;
+      if (typeof text !== "string" || !text.trim() || text.length > CONFIG.SEND_MAX_TEXT_LENGTH) {
+        return jsonResponse({ success: false, error: `正文不能为空，且不超过 ${CONFIG.SEND_MAX_TEXT_LENGTH} 个字符` }, 400);
+      }
+
+      if (!canSendMail(env)) {
+        return jsonResponse({ success: false, error: "未配置发信方式" }, 503);
+      }
+
+      // 除通用的限制外，每个邮箱单独限制发信频率和每日数量
+      const sendLimited = await enforceRateLimit(env, request, { subject: `address:${addressLower}`, endpoint: "/api/send/address" });
+      if (sendLimited) {
+        return sendLimited;
+      }
+
+      const now = Date.now();
+      const sentToday = await env.DB.prepare(`
+        SELECT COUNT(*) AS count FROM emails WHERE address = ? AND folder = 'sent' AND created_at > ?
+      `).bind(addressLower, now - 24 * 60 * 60 * 1000).first();
+
+      if ((sentToday?.count || 0) >= CONFIG.SEND_MAX_PER_DAY) {
+        return jsonResponse({ success: false, error: `每个邮箱 24 小时内最多发送 ${CONFIG.SEND_MAX_PER_DAY} 封邮件` }, 429);
+      }
+
+      const originalMessageId = originalHeader("message-id");
+      let sent;
+      try {
+        sent = await sendMail(env, {
+          from: addressLower,
+          to,
+          subject,
+          text,
+          headers: originalMessageId
+            ? { "In-Reply-To": originalMessageId, "References": `${originalHeader("references")} ${originalMessageId}`.trim() }
+            : {},
+        });
+      } catch (error) {
+        console.error("Error sending email:", error);
+        return jsonResponse({ success: false, error: `发送失败：${error.message}` }, 502);
+      }
+
+      // 保存到已发送，与收到的邮件一样随邮箱过期
+      const id = generateId();
+      const rawBytes = new TextEncoder().encode(sent.raw);
+      const rawKey = await putRawEmail(env, id, rawBytes);
+      const storedSubject = subject || "(无主题)";
+
+      await env.DB.prepare(`
+        INSERT INTO emails (id, address, from_address, to_address, subject, text_content, raw_email, raw_key, raw_size, headers,
+          has_attachments, codes, links, is_read, folder, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, '[]', '[]', 1, 'sent', ?, ?)
+      `).bind(
+        id,
+        addressLower,
+        addressLower,
+        to,
+        storedSubject,
+        text,
+        rawKey ? null : rawBytes,
+        rawKey,
+        rawBytes.length,
+        JSON.stringify(parseRawHeaders(rawBytes)),
+        now,
+        auth.record.expires_at || now + getTtlBounds(env).default
+      ).run();
+
+      return jsonResponse({
+        success: true,
+        message: {
+          id,
+          messageId: sent.messageId,
+          from: addressLower,
+          to,
+          subject: storedSubject,
+          date: new Date(now).toISOString(),
+          folder: "sent",
+        },
+      }, 201);
+    }
+
+    // GET /api/raw - 下载原始邮件（.eml）
+    if (path === "/api/raw") {
+      const address = url.searchParams.get("address");
+      const id = url.searchParams.get("id");
+
+      if (!address || !id) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址和邮件ID" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      const email = await env.DB.prepare(`
+        SELECT id, subject, raw_email, raw_key FROM emails WHERE id = ? AND address = ?
+      `).bind(id, addressLower).first();
+
+      if (!email) {
+        return jsonResponse({ success: false, error: "邮件不存在" }, 404);
+      }
+
+      const raw = await getRawEmail(env, email);
+      if (raw === null) {
+        return jsonResponse({ success: false, error: "原始邮件不存在" }, 404);
+      }
+
+      // 以主题作为文件名，去掉文件系统不允许的字符
+      const filename = `${(email.subject || email.id).replace(/[\\/:*?"<>|\r\n]+/g, "_").substring(0, 100)}.eml`;
+      const encodedFilename = encodeURIComponent(filename).replace(/'/g, "%27");
+
+      return new Response(raw, {
+        headers: {
+          "Content-Type": "message/rfc822",
+          "Content-Disposition": `attachment; filename*=UTF-8''${encodedFilename}`,
+          "Cache-Control": "private, max-age=3600",
+        },
+      });
+    }
+
+    // GET /api/latest-code - 获取最新一封邮件中的验证码
+    if (path === "/api/latest-code") {
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      // 可按加号标签只取发往 user+tag@domain 的邮件
+      const tag = (url.searchParams.get("tag") || "").trim().toLowerCase();
+      const email = await env.DB.prepare(`
+        SELECT id, from_address, from_name, subject, codes, plus_tag, created_at
+        FROM emails
+        WHERE address = ? AND folder = 'inbox' AND codes IS NOT NULL AND codes != '[]' AND (? = '' OR plus_tag = ?)
+        ORDER BY created_at DESC
+        LIMIT 1
+      `).bind(addressLower, tag, tag).first();
+
+      if (!email) {
+        return jsonResponse({ success: false, error: "暂无验证码" }, 404);
+      }
+
+      const codes = parseJsonArray(email.codes);
+
+      return jsonResponse({
+        success: true,
+        code: codes[0],
+        codes,
+        messageId: email.id,
+        from: email.from_name ? `${email.from_name} <${email.from_address}>` : email.from_address,
+        tag: email.plus_tag || null,
+        subject: email.subject,
+        date: new Date(email.created_at).toISOString(),
+      });
+    }
+
+    // GET /api/attachment - 下载附件（需要验证邮箱归属）
+    if (path === "/api/attachment") {
+      const id = url.searchParams.get("id");
+      const address = url.searchParams.get("address");
+
+      if (!id) {
+        return jsonResponse({ success: false, error: "请提供附件ID" }, 400);
+      }
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      // 内联图片使用签名地址访问（<img> 无法携带请求头），其余情况校验访问令牌
+      const signature = url.searchParams.get("signature");
+      if (signature) {
+        const valid = await verifyAttachmentSignature(env, addressLower, id, url.searchParams.get("expires"), signature);
+        if (!valid) {
+          return jsonResponse({ success: false, error: "链接无效或已过期" }, 403);
+        }
+      } else {
+        const auth = await authorizeAddress(env, addressLower, request);
+        if (auth.error) {
+          return auth.error;
+        }
+      }
+
+      // 查询附件并验证邮箱归属
+      const attachment = await env.DB.prepare(`
+        SELECT a.* FROM attachments a
+        INNER JOIN emails e ON a.email_id = e.id
+        WHERE a.id = ? AND e.address = ?
+      `).bind(id, addressLower).first();
+
+      if (!attachment) {
+        return jsonResponse({ success: false, error: "附件不存在或无权访问" }, 404);
+      }
+
+      // 对文件名进行 RFC 5987 编码以支持中文
+      const encodedFilename = encodeURIComponent(attachment.filename).replace(/'/g, "%27");
+      const headers = {
+        "Content-Type": attachment.content_type || "application/octet-stream",
+        "Content-Disposition": `${attachment.is_inline ? "inline" : "attachment"}; filename*=UTF-8''${encodedFilename}`,
+        "Cache-Control": "private, max-age=3600",
+        "Accept-Ranges": "bytes",
+      };
+
+      // 支持 Range 请求（断点续传、媒体拖动）
+      const size = attachment.size || 0;
+      const range = parseRange(request.headers.get("Range"), size);
+      if (range === false) {
+        return new Response(null, {
+          status: 416,
+          headers: { ...headers, "Content-Range": `bytes */${size}` },
+        });
+      }
+
+      const body = await readAttachment(env, attachment, range);
+      if (body === null) {
+        return jsonResponse({ success: false, error: "附件内容不存在" }, 404);
+      }
+
+      if (range) {
+        return new Response(body, {
+          status: 206,
+          headers: {
+            ...headers,
+            "Content-Range": `bytes ${range.offset}-${range.offset + range.length - 1}/${size}`,
+            "Content-Length": String(range.length),
+          },
+        });
+      }
+
+      return new Response(body, {
+        headers: { ...headers, "Content-Length": String(size) },
+      });
+    }
+
+    // DELETE /api/delete - 删除邮件（支持 DELETE 和 POST 方法）
+    if (path === "/api/delete") {
+      // 只允许 DELETE 或 POST 方法
+      if (method !== "DELETE" && method !== "POST") {
+        return jsonResponse({ 
+          success: false, 
+          error: "请使用 DELETE 或 POST 方法" 
+        }, 405);
+      }
+
+      const address = url.searchParams.get("address");
+      const id = url.searchParams.get("id");
+
+      if (!address || !id) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址和邮件ID" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      // 先检查邮件是否存在
+      const email = await env.DB.prepare(`
+        SELECT id FROM emails WHERE id = ? AND address = ?
+      `).bind(id, addressLower).first();
+
+      if (!email) {
+        return jsonResponse({ success: false, error: "邮件不存在或无权删除" }, 404);
+      }
+
+      // 对象存储中的原文和附件需单独删除
+      const objectKeys = await env.DB.prepare(`
+        SELECT raw_key AS key FROM emails WHERE id = ? AND raw_key IS NOT NULL
+        UNION ALL
+        SELECT object_key AS key FROM attachments WHERE email_id = ? AND object_key IS NOT NULL
+      `).bind(id, id).all();
+
+      // 删除邮件（附件会通过外键级联删除）
+      await env.DB.prepare(`
+        DELETE FROM emails WHERE id = ? AND address = ?
+      `).bind(id, addressLower).run();
+
+      await deleteObjects(env, (objectKeys.results || []).map(row => row.key));
+
+      return jsonResponse({ success: true, message: "邮件已删除" });
+    }
+
+    // POST /api/messages/delete - 批量删除邮件
+    // POST /api/messages/mark - 批量标记已读/未读
+    if (path === "/api/messages/delete" || path === "/api/messages/mark") {
+      if (method !== "POST") {
+        return jsonResponse({ success: false, error: "请使用 POST 方法" }, 405);
+      }
+
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      const body = await readJson(request);
+      if (!body) {
+        return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+      }
+
+      const isDelete = path === "/api/messages/delete";
+      if (!isDelete && typeof body.read !== "boolean") {
+        return jsonResponse({ success: false, error: "请提供 read（true 或 false）" }, 400);
+      }
+
+      const targets = await resolveBulkTargets(env, addressLower, body);
+      if (targets.error) {
+        return targets.error;
+      }
+
+      const objectKeys = isDelete ? await collectObjectKeys(env, targets.ids) : [];
+
+      // 每封邮件一条语句，在同一个 D1 批次（事务）中执行
+      const statements = targets.ids.map(id => isDelete
+        ? env.DB.prepare(`
+            DELETE FROM emails WHERE id = ? AND address = ?
+          `).bind(id, addressLower)
+        : env.DB.prepare(`
+            UPDATE emails SET is_read = ? WHERE id = ? AND address = ?
+          `).bind(body.read ? 1 : 0, id, addressLower)
+      );
+      const batchResults = statements.length > 0 ? await env.DB.batch(statements) : [];
+
+      await deleteObjects(env, objectKeys);
+
+      const results = [
+        ...targets.ids.map((id, i) => batchResults[i].meta?.changes
+          ? { id, success: true }
+          : { id, success: false, error: "邮件不存在" }),
+        ...targets.missing.map(id => ({ id, success: false, error: "邮件不存在" })),
+      ];
+      const succeeded = results.filter(r => r.success).length;
+
+      return jsonResponse({
+        success: true,
+        [isDelete ? "deleted" : "updated"]: succeeded,
+        hasMore: targets.hasMore,
+        results,
+      });
+    }
+
+    // /api/webhooks - 管理邮箱的 webhook（GET 列表，POST 注册，DELETE 删除）
+    if (path === "/api/webhooks") {
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      if (method === "GET") {
+        const result = await env.DB.prepare(`
+          SELECT id, url, created_at FROM webhooks WHERE address = ? ORDER BY created_at ASC
+        `).bind(addressLower).all();
+
+        const webhooks = (result.results || []).map(row => ({
+          id: row.id,
+          url: row.url,
+          createdAt: new Date(row.created_at).toISOString(),
+        }));
+
+        return jsonResponse({ success: true, webhooks });
+      }
+
+      if (method === "POST") {
+        const body = await readJson(request);
+        if (!body) {
+          return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+        }
+
+        let target;
+        try {
+          target = new URL(body.url);
+        } catch (e) {
+          target = null;
+        }
+        if (!target || (target.protocol !== "https:" && target.protocol !== "http:")) {
+          return jsonResponse({ success: false, error: "请提供有效的 http(s) URL" }, 400);
+        }
+
+        if (body.secret !== undefined && (typeof body.secret !== "string" || body.secret.length < 16)) {
+          return jsonResponse({ success: false, error: "密钥至少 16 个字符" }, 400);
+        }
+
+        const countResult = await env.DB.prepare(`
+          SELECT COUNT(*) AS count FROM webhooks WHERE address = ?
+        `).bind(addressLower).first();
+
+        if ((countResult?.count || 0) >= CONFIG.WEBHOOK_MAX_PER_ADDRESS) {
+          return jsonResponse({
+            success: false,
+            error: `每个邮箱最多注册 ${CONFIG.WEBHOOK_MAX_PER_ADDRESS} 个 webhook`,
+          }, 400);
+        }
+
+        // 未提供密钥时自动生成，密钥只在创建时返回
+        const secret = body.secret || generateToken();
+        const webhookId = generateId();
+        const now = Date.now();
+
+        await env.DB.prepare(`
+          INSERT INTO webhooks (id, address, url, secret, created_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).bind(webhookId, addressLower, target.toString(), secret, now).run();
+
+        return jsonResponse({
+          success: true,
+          webhook: { id: webhookId, url: target.toString(), createdAt: new Date(now).toISOString() },
+          secret,
+        }, 201);
+      }
+
+      if (method === "DELETE") {
+        const id = url.searchParams.get("id");
+        if (!id) {
+          return jsonResponse({ success: false, error: "请提供 webhook ID" }, 400);
+        }
+
+        // 推送记录会通过外键级联删除
+        const result = await env.DB.prepare(`
+          DELETE FROM webhooks WHERE id = ? AND address = ?
+        `).bind(id, addressLower).run();
+
+        if (!result.meta?.changes) {
+          return jsonResponse({ success: false, error: "webhook 不存在或无权删除" }, 404);
+        }
+
+        return jsonResponse({ success: true, message: "webhook 已删除" });
+      }
+
+      return jsonResponse({ success: false, error: "请使用 GET、POST 或 DELETE 方法" }, 405);
+    }
+
+    // GET /api/webhooks/deliveries - 查询推送记录
+    if (path === "/api/webhooks/deliveries") {
+      const address = url.searchParams.get("address");
+      const webhookId = url.searchParams.get("id");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      const result = await env.DB.prepare(`
+        SELECT d.id, d.webhook_id, d.email_id, d.status, d.attempts, d.response_status,
+               d.last_error, d.next_attempt_at, d.created_at, d.updated_at
+        FROM webhook_deliveries d
+        INNER JOIN webhooks w ON d.webhook_id = w.id
+        WHERE w.address = ? AND (? IS NULL OR w.id = ?)
+        ORDER BY d.created_at DESC
+        LIMIT ${CONFIG.INBOX_LIMIT}
+      `).bind(addressLower, webhookId, webhookId).all();
+
+      const deliveries = (result.results || []).map(row => ({
+        id: row.id,
+        webhookId: row.webhook_id,
+        messageId: row.email_id,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.last_error,
+        nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+        createdAt: new Date(row.created_at).toISOString(),
+        updatedAt: new Date(row.updated_at).toISOString(),
+      }));
+
+      return jsonResponse({ success: true, deliveries });
+    }
+
+    // /api/forwarding - 管理邮箱的转发规则（GET 列表，POST 添加并发送验证码，DELETE 删除）
+    // POST /api/forwarding/verify - 确认目标邮箱收到的验证码
+    // GET /api/forwarding/logs - 查询转发记录
+    if (path === "/api/forwarding" || path === "/api/forwarding/verify" || path === "/api/forwarding/logs") {
+      const address = url.searchParams.get("address");
+
+      if (!address) {
+        return jsonResponse({ success: false, error: "请提供邮箱地址" }, 400);
+      }
+
+      if (!(await isAllowedDomain(address, env))) {
+        return jsonResponse({ success: false, error: "不支持的域名" }, 400);
+      }
+
+      const addressLower = address.toLowerCase();
+
+      const auth = await authorizeAddress(env, addressLower, request);
+      if (auth.error) {
+        return auth.error;
+      }
+
+      if (path === "/api/forwarding/logs") {
+        const ruleId = url.searchParams.get("id");
+        const result = await env.DB.prepare(`
+          SELECT l.id, l.rule_id, l.email_id, l.destination, l.status, l.error, l.created_at
+          FROM forward_logs l
+          INNER JOIN forward_rules r ON l.rule_id = r.id
+          WHERE r.address = ? AND (? IS NULL OR r.id = ?)
+          ORDER BY l.created_at DESC
+          LIMIT ${CONFIG.INBOX_LIMIT}
+        `).bind(addressLower, ruleId, ruleId).all();
+
+        const logs = (result.results || []).map(row => ({
+          id: row.id,
+          ruleId: row.rule_id,
+          messageId: row.email_id,
+          destination: row.destination,
+          status: row.status,
+          error: row.error,
+          createdAt: new Date(row.created_at).toISOString(),
+        }));
+
+        return jsonResponse({ success: true, logs });
+      }
+
+      if (path === "/api/forwarding/verify") {
+        if (method !== "POST") {
+          return jsonResponse({ success: false, error: "请使用 POST 方法" }, 405);
+        }
+
+        const body = await readJson(request);
+        if (!body || typeof body.code !== "string" || !body.code.trim()) {
+          return jsonResponse({ success: false, error: "请提供验证码" }, 400);
+        }
+
+        const rule = await env.DB.prepare(`
+          SELECT * FROM forward_rules WHERE id = ? AND address = ?
+        `).bind(url.searchParams.get("id"), addressLower).first();
+
+        if (!rule) {
+          return jsonResponse({ success: false, error: "转发规则不存在" }, 404);
+        }
+        if (rule.verified_at) {
+          return jsonResponse({ success: true, rule: formatForwardRule(rule) });
+        }
+        if (isForwardRuleLocked(rule)) {
+          return jsonResponse({ success: false, error: "验证次数已用完，该转发规则已锁定" }, 429);
+        }
+        if (!rule.code_hash || rule.code_expires_at < Date.now()) {
+          return jsonResponse({ success: false, error: "验证码已过期，请重新发送" }, 400);
+        }
+
+        // 尝试次数在所有验证码间累计，条件更新避免并发请求超出上限
+        const attempt = await env.DB.prepare(`
+          UPDATE forward_rules SET verify_attempts = verify_attempts + 1 WHERE id = ? AND verify_attempts < ?
+        `).bind(rule.id, CONFIG.FORWARD_VERIFY_MAX_ATTEMPTS).run();
+        if (!attempt.meta?.changes) {
+          return jsonResponse({ success: false, error: "验证次数已用完，该转发规则已锁定" }, 429);
+        }
+
+        if (!timingSafeEqual(await hashToken(body.code.trim()), rule.code_hash)) {
+          return jsonResponse({
+            success: false,
+            error: "验证码错误",
+            attemptsLeft: CONFIG.FORWARD_VERIFY_MAX_ATTEMPTS - rule.verify_attempts - 1,
+          }, 400);
+        }
+
+        rule.verified_at = Date.now();
+        await env.DB.prepare(`
+          UPDATE forward_rules SET verified_at = ?, code_hash = NULL, code_expires_at = NULL WHERE id = ?
+        `).bind(rule.verified_at, rule.id).run();
+
+        return jsonResponse({ success: true, rule: formatForwardRule(rule) });
+      }
+
+      if (method === "GET") {
+        const result = await env.DB.prepare(`
+          SELECT * FROM forward_rules WHERE address = ? ORDER BY created_at ASC
+        `).bind(addressLower).all();
+
+        return jsonResponse({ success: true, rules: (result.results || []).map(formatForwardRule) });
+      }
+
+      if (method === "POST") {
+        const body = await readJson(request);
+        if (!body) {
+          return jsonResponse({ success: false, error: "请求体必须是 JSON 对象" }, 400);
+        }
+
+        const destination = typeof body.destination === "string" ? body.destination.trim().toLowerCase() : "";
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(destination)) {
+          return jsonResponse({ success: false, error: "请提供有效的目标邮箱" }, 400);
+        }
+        // 不允许转发到本系统的临时邮箱
+        if (await isAllowedDomain(destination, env)) {
+          return jsonResponse({ success: false, error: "不能转发到临时邮箱" }, 400);
+        }
+
+        for (const name of ["from", "subject"]) {
+          const value = body[name];
+          if (value !== undefined && value !== null && (typeof value !== "string" || value.length > 100)) {
+            return jsonResponse({ success: false, error: `${name} 必须是不超过 100 个字符的文本` }, 400);
+          }
+        }
+        const fromFilter = (body.from || "").trim() || null;
+        const subjectFilter = (body.subject || "").trim() || null;
+
+        if (!canSendMail(env)) {
+          return jsonResponse({ success: false, error: "未配置发信方式，无法发送验证码" }, 503);
+        }
+
+        const existing = await env.DB.prepare(`
+          SELECT * FROM forward_rules WHERE address = ? AND destination = ?
+        `).bind(addressLower, destination).first();
+
+        if (existing?.verified_at) {
+          return jsonResponse({ success: false, error: "该邮箱已在转发列表中" }, 409);
+        }
+
+        let rule;
+        if (existing) {
+          // 未验证的规则重新提交时更新条件并重发验证码，限制重发频率和次数以免骚扰目标邮箱
+          if (isForwardRuleLocked(existing) || existing.verify_sends >= CONFIG.FORWARD_VERIFY_MAX_SENDS) {
+            return jsonResponse({ success: false, error: "验证码发送次数已用完，该转发规则已锁定" }, 429);
+          }
+          const sentAt = (existing.code_expires_at || 0) - CONFIG.FORWARD_CODE_TTL_MS;
+          if (Date.now() - sentAt < CONFIG.FORWARD_CODE_RESEND_MS) {
+            return jsonResponse({ success: false, error: "验证码发送过于频繁，请稍后再试" }, 429);
+          }
+          await env.DB.prepare(`
+            UPDATE forward_rules SET from_filter = ?, subject_filter = ? WHERE id = ?
+          `).bind(fromFilter, subjectFilter, existing.id).run();
+          rule = { ...existing, from_filter: fromFilter, subject_filter: subjectFilter };
+        } else {
+          const countResult = await env.DB.prepare(`
+            SELECT COUNT(*) AS count FROM forward_rules WHERE address = ?
+          `).bind(addressLower).first();
+
+          if ((countResult?.count || 0) >= CONFIG.FORWARD_MAX_PER_ADDRESS) {
+            return jsonResponse({
+              success: false,
+              error: `每个邮箱最多转发到 ${CONFIG.FORWARD_MAX_PER_ADDRESS} 个邮箱`,
+            }, 400);
+          }
+
+          rule = {
+            id: generateId(),
+            address: addressLower,
+            destination,
+            from_filter: fromFilter,
+            subject_filter: subjectFilter,
+            verify_attempts: 0,
+            verify_sends: 0,
+            verified_at: null,
+            created_at: Date.now(),
+          };
+          await env.DB.prepare(`
+            INSERT INTO forward_rules (id, address, destination, from_filter, subject_filter, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `).bind(rule.id, addressLower, destination, fromFilter, subjectFilter, rule.created_at).run();
+        }
+
+        try {
+          await sendForwardVerification(env, rule);
+        } catch (error) {
+          console.error("Error sending forward verification:", error);
+          return jsonResponse({ success: false, error: "验证码发送失败，请确认目标邮箱可以接收邮件", rule: formatForwardRule(rule) }, 502);
+        }
+
+        return jsonResponse({
+          success: true,
+          message: `验证码已发送到 ${destination}`,
+          rule: formatForwardRule(rule),
+        }, existing ? 200 : 201);
+      }
+
+      if (method === "DELETE") {
+        const id = url.searchParams.get("id");
+        if (!id) {
+          return jsonResponse({ success: false, error: "请提供转发规则 ID" }, 400);
+        }
+
+        const rule = await env.DB.prepare(`
+          SELECT * FROM forward_rules WHERE id = ? AND address = ?
+        `).bind(id, addressLower).first();
+
+        if (!rule) {
+          return jsonResponse({ success: false, error: "转发规则不存在或无权删除" }, 404);
+        }
+        // 锁定的规则保留到邮箱清理，避免删除后重新添加绕过发送和尝试次数上限
+        if (isForwardRuleLocked(rule)) {
+          return jsonResponse({ success: false, error: "该转发规则已锁定，不能删除，将随邮箱一起清理" }, 409);
+        }
+
+        // 转发记录会通过外键级联删除
+        await env.DB.prepare(`
+          DELETE FROM forward_rules WHERE id = ?
+        `).bind(rule.id).run();
+
+        return jsonResponse({ success: true, message: "转发规则已删除" });
+      }
+
+      return jsonResponse({ success: false, error: "请使用 GET、POST 或 DELETE 方法" }, 405);
+    }
+
+    // 404
+    return jsonResponse({ error: "Not Found" }, 404);
+
+  } catch (error) {
+    console.error("API Error:", error);
+    return jsonResponse({ success: false, error: "服务器错误" }, 500);
+  }
+}
+
+/**
+ * 选择生成邮箱的域名
+ * 指定了已启用的域名（含隐藏的）时使用该域名，否则按随机顺序从公开的域名中选择第一个未达上限的
+ * @returns {Object} 成功时 { domain: 域名记录 }，失败时 { error: Response }
+ */
+async function pickDomain(env, requested) {
+  const domain = requested ? await findDomain(env, `@${requested}`) : null;
+  if (domain) {
+    const quota = await checkDomainQuota(env, domain);
+    return quota.error ? quota : { domain };
+  }
+
+  const candidates = await getDomains(env);
+  if (candidates.length === 0) {
+    return { error: jsonResponse({ success: false, error: "暂无可用的域名" }, 503) };
+  }
+
+  // 从随机位置开始依次尝试
+  const start = Math.floor(Math.random() * candidates.length);
+  let quota = null;
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = await findDomain(env, `@${candidates[(start + i) % candidates.length]}`);
+    quota = await checkDomainQuota(env, candidate);
+    if (!quota.error) {
+      return { domain: candidate };
+    }
+  }
+  return quota;
+}
+
+/**
+ * 收件箱列表项
+ */
+function toMessageSummary(row) {
+  return {
+    id: row.id,
+    from: row.from_name ? `${row.from_name} <${row.from_address}>` : row.from_address,
+    to: row.to_address || row.address,
+    tag: row.plus_tag || null,
+    subject: row.subject,
+    preview: extractPreview(row.text_content),
+    date: new Date(row.created_at).toISOString(),
+    cursor: formatCursor(row.created_at, row.id),
+    hasAttachments: row.has_attachments === 1,
+    codes: parseJsonArray(row.codes),
+    links: parseJsonArray(row.links),
+    auth: { spf: row.spf_result || null, dkim: row.dkim_result || null, dmarc: row.dmarc_result || null },
+    read: row.is_read === 1,
+    starred: row.is_starred === 1,
+    labels: [],
+    folder: row.folder,
+    spam: { score: row.spam_score, reasons: parseJsonArray(row.spam_reasons) },
+  };
+}
+
+/**
+ * 邮件详情（附件、标签、净化后的 HTML 和完整头部）
+ * @param {Object} email 邮件记录（SELECT *）
+ * @param {Object} record 邮箱记录，用于生成附件签名链接
+ */
+async function buildMessageDetail(env, email, record, { allowRemote = false } = {}) {
+  // 查询附件和标签
+  const [attachmentsResult, labelsResult] = await env.DB.batch([
+    env.DB.prepare(`
+      SELECT id, filename, content_type, size, content_id, is_inline FROM attachments WHERE email_id = ?
+    `).bind(email.id),
+    env.DB.prepare(`
+      SELECT label FROM email_labels WHERE email_id = ? ORDER BY created_at ASC
+    `).bind(email.id),
+  ]);
+
+  const attachmentRows = attachmentsResult.results || [];
+  const attachments = attachmentRows.map(att => ({
+    id: att.id,
+    filename: att.filename,
+    contentType: att.content_type,
+    size: att.size,
+    contentId: att.content_id || null,
+    inline: att.is_inline === 1,
+  }));
+
+  // 净化 HTML，远程图片等外部资源默认拦截
+  const sanitized = await sanitizeHtml(
+    await resolveInlineImages(env, email, attachmentRows, record),
+    { allowRemote }
+  );
+
+  return {
+    id: email.id,
+    from: email.from_name ? `${email.from_name} <${email.from_address}>` : email.from_address,
+    to: email.to_address || email.address,
+    tag: email.plus_tag || null,
+    subject: email.subject,
+    text: email.text_content,
+    html: sanitized.html,
+    remoteBlocked: sanitized.remoteBlocked,
+    date: new Date(email.created_at).toISOString(),
+    codes: parseJsonArray(email.codes),
+    links: parseJsonArray(email.links),
+    headers: await loadHeaders(env, email),
+    authResults: email.auth_results ? JSON.parse(email.auth_results) : null,
+    read: email.is_read === 1,
+    starred: email.is_starred === 1,
+    labels: (labelsResult.results || []).map(row => row.label),
+    folder: email.folder,
+    spam: { score: email.spam_score, reasons: parseJsonArray(email.spam_reasons) },
+    attachments,
+  };
+}
+
+/**
+ * 解析收件箱筛选条件
+ * 支持文件夹（folder，默认 inbox）、认证结果（spf/dkim/dmarc）、状态（unread/starred）、标签（label）、加号标签（tag）、发件人（from）、主题（subject）、
+ * 附件（hasAttachments）、日期范围（dateFrom/dateTo）和全文搜索（q）
+ * @returns {Object} 成功时 { conditions, params }，失败时 { error: Response }
+ */
+function parseInboxFilters(url, address) {
+  const invalid = error => ({ error: jsonResponse({ success: false, error, messages: [] }, 400) });
+  const conditions = ["address = ?"];
+  const params = [address];
+
+  // 隔离区和已发送的邮件默认不显示，folder=quarantine / sent 时查看
+  const folder = url.searchParams.get("folder") || "inbox";
+  if (!["inbox", "quarantine", "sent"].includes(folder)) {
+    return invalid("folder 必须是 inbox、quarantine 或 sent");
+  }
+  conditions.push("folder = ?");
+  params.push(folder);
+
+  // 按认证结果筛选，如 ?dmarc=fail；none 同时匹配没有认证结果的邮件
+  for (const method of ["spf", "dkim", "dmarc"]) {
+    const value = (url.searchParams.get(method) || "").toLowerCase();
+    if (!value) continue;
+    if (!/^[a-z]+$/.test(value)) {
+      return invalid("无效的认证筛选条件");
+    }
+    conditions.push(value === "none"
+      ? `(${method}_result IS NULL OR ${method}_result = 'none')`
+      : `${method}_result = ?`);
+    if (value !== "none") params.push(value);
+  }
+
+  // 按状态和标签筛选，如 ?unread=1、?starred=1、?label=xxx
+  if (url.searchParams.get("unread") === "1") {
+    conditions.push("is_read = 0");
+  }
+  if (url.searchParams.get("starred") === "1") {
+    conditions.push("is_starred = 1");
+  }
+  const label = url.searchParams.get("label");
+  if (label) {
+    conditions.push("id IN (SELECT email_id FROM email_labels WHERE label = ?)");
+    params.push(label);
+  }
+  // 加号地址的标签，如发往 user+github@domain 的邮件用 ?tag=github 筛选
+  const tag = (url.searchParams.get("tag") || "").trim().toLowerCase();
+  if (tag) {
+    conditions.push("plus_tag = ?");
+    params.push(tag);
+  }
+
+  // 发件人（地址或名称）和主题按子串匹配，不区分大小写
+  const from = (url.searchParams.get("from") || "").trim();
+  if (from) {
+    conditions.push("(from_address LIKE ? ESCAPE '\\' OR from_name LIKE ? ESCAPE '\\')");
+    params.push(likePattern(from), likePattern(from));
+  }
+  const subject = (url.searchParams.get("subject") || "").trim();
+  if (subject) {
+    conditions.push("subject LIKE ? ESCAPE '\\'");
+    params.push(likePattern(subject));
+  }
+
+  const hasAttachments = url.searchParams.get("hasAttachments");
+  if (hasAttachments) {
+    if (hasAttachments !== "1" && hasAttachments !== "0") {
+      return invalid("hasAttachments 必须是 1 或 0");
+    }
+    conditions.push("has_attachments = ?");
+    params.push(Number(hasAttachments));
+  }
+
+  // 日期范围，dateTo 不包含该时刻
+  for (const [name, operator] of [["dateFrom", ">="], ["dateTo", "<"]]) {
+    const value = url.searchParams.get(name);
+    if (!value) continue;
+    const timestamp = parseTimestamp(value);
+    if (timestamp === null) {
+      return invalid(`${name} 必须是时间戳或 ISO 时间`);
+    }
+    conditions.push(`created_at ${operator} ?`);
+    params.push(timestamp);
+  }
+
+  // 全文搜索主题和正文：trigram 索引只能匹配 3 个字符以上的词，更短的词退回 LIKE
+  const terms = (url.searchParams.get("q") || "").trim().split(/\s+/).filter(Boolean);
+  if (terms.length > CONFIG.SEARCH_MAX_TERMS) {
+    return invalid(`搜索词最多 ${CONFIG.SEARCH_MAX_TERMS} 个`);
+  }
+  const ftsTerms = terms.filter(term => [...term].length >= 3);
+  if (ftsTerms.length > 0) {
+    conditions.push("id IN (SELECT email_id FROM emails_fts WHERE emails_fts MATCH ?)");
+    params.push(ftsTerms.map(term => `"${term.replace(/"/g, '""')}"`).join(" "));
+  }
+  for (const term of terms.filter(term => [...term].length < 3)) {
+    conditions.push("(subject LIKE ? ESCAPE '\\' OR text_content LIKE ? ESCAPE '\\')");
+    params.push(likePattern(term), likePattern(term));
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * 解析查询参数中的时间，支持时间戳（毫秒）或 ISO 时间
+ * @returns {number|null}
+ */
+function parseTimestamp(value) {
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+/**
+ * 等待匹配的邮件到达，超时返回 null
+ * 发件人（地址或名称）和主题按子串匹配，不区分大小写，加号标签按完整值匹配
+ */
+async function waitForMessage(env, address, { since, from, subject, tag }, timeoutMs) {
+  const conditions = ["address = ?", "folder = 'inbox'", "created_at >= ?"];
+  const params = [address, since];
+  if (from) {
+    conditions.push("(from_address LIKE ? ESCAPE '\\' OR from_name LIKE ? ESCAPE '\\')");
+    params.push(likePattern(from), likePattern(from));
+  }
+  if (subject) {
+    conditions.push("subject LIKE ? ESCAPE '\\'");
+    params.push(likePattern(subject));
+  }
+  if (tag) {
+    conditions.push("plus_tag = ?");
+    params.push(tag);
+  }
+
+  const statement = env.DB.prepare(`
+    SELECT * FROM emails
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY created_at ASC, id ASC
+    LIMIT 1
+  `).bind(...params);
+
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const email = await statement.first();
+    if (email) {
+      return email;
+    }
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return null;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(CONFIG.WAIT_POLL_MS, remaining)));
+  }
+}
+
+/**
+ * 子串匹配的 LIKE 模式（转义 %、_ 和 \）
+ */
+function likePattern(value) {
+  return `%${value.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+/**
+ * 为收件箱列表项补充标签
+ */
+async function attachLabels(env, messages) {
+  if (messages.length === 0) {
+    return messages;
+  }
+
+  const result = await env.DB.prepare(`
+    SELECT email_id, label FROM email_labels
+    WHERE email_id IN (${messages.map(() => "?").join(", ")})
+    ORDER BY created_at ASC
+  `).bind(...messages.map(m => m.id)).all();
+
+  const byEmail = new Map(messages.map(m => [m.id, m]));
+  for (const row of result.results || []) {
+    byEmail.get(row.email_id)?.labels.push(row.label);
+  }
+  return messages;
+}
+
+/**
+ * 校验并规范化标签列表（去除首尾空白、去重）
+ * @returns {Array<string>|null} 格式错误时返回 null
+ */
+function normalizeLabels(value) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const labels = [];
+  for (const item of value) {
+    if (typeof item !== "string") return null;
+    const label = item.trim();
+    if (!label || label.length > CONFIG.LABEL_MAX_LENGTH || /[\u0000-\u001f]/.test(label)) return null;
+    if (!labels.includes(label)) labels.push(label);
+  }
+  return labels;
+}
+
+/**
+ * 解析批量操作的目标邮件
+ * 请求体为 { ids: [...] }，或 { filter: { folder, all, olderThan, from } }
+ * （folder 默认 inbox，olderThan 为时间戳或 ISO 时间，from 为发件人地址）
+ * @returns {Object} 成功时 { ids, missing, hasMore }，失败时 { error: Response }
+ */
+async function resolveBulkTargets(env, address, body) {
+  if (Array.isArray(body.ids)) {
+    const ids = [...new Set(body.ids.filter(id => typeof id === "string" && id))];
+    if (ids.length === 0) {
+      return { error: jsonResponse({ success: false, error: "请提供邮件ID" }, 400) };
+    }
+    if (ids.length > CONFIG.BULK_MAX_IDS) {
+      return { error: jsonResponse({ success: false, error: `每次最多操作 ${CONFIG.BULK_MAX_IDS} 封邮件` }, 400) };
+    }
+
+    const result = await env.DB.prepare(`
+      SELECT id FROM emails WHERE address = ? AND id IN (${ids.map(() => "?").join(", ")})
+    `).bind(address, ...ids).all();
+
+    const found = new Set((result.results || []).map(row => row.id));
+    return {
+      ids: ids.filter(id => found.has(id)),
+      missing: ids.filter(id => !found.has(id)),
+      hasMore: false,
+    };
+  }
+
+  const filter = body.filter;
+  if (!filter || typeof filter !== "object") {
+    return { error: jsonResponse({ success: false, error: "请提供邮件ID或筛选条件" }, 400) };
+  }
+
+  // 筛选只作用于一个文件夹，避免误操作隔离区和已发送的邮件
+  const folder = filter.folder === undefined ? "inbox" : filter.folder;
+  if (!["inbox", "quarantine", "sent"].includes(folder)) {
+    return { error: jsonResponse({ success: false, error: "folder 必须是 inbox、quarantine 或 sent" }, 400) };
+  }
+
+  const conditions = ["address = ?", "folder = ?"];
+  const params = [address, folder];
+
+  if (filter.olderThan !== undefined) {
+    const timestamp = typeof filter.olderThan === "number" ? filter.olderThan : Date.parse(filter.olderThan);
+    if (!Number.isFinite(timestamp)) {
+      return { error: jsonResponse({ success: false, error: "olderThan 必须是时间戳或 ISO 时间" }, 400) };
+    }
+    conditions.push("created_at < ?");
+    params.push(timestamp);
+  }
+
+  if (filter.from !== undefined) {
+    if (typeof filter.from !== "string" || !filter.from.trim()) {
+      return { error: jsonResponse({ success: false, error: "from 必须是发件人地址" }, 400) };
+    }
+    conditions.push("LOWER(from_address) = ?");
+    params.push(filter.from.trim().toLowerCase());
+  }
+
+  // 没有任何条件时必须显式指定 all，避免误操作全部邮件
+  if (conditions.length === 2 && filter.all !== true) {
+    return { error: jsonResponse({ success: false, error: "操作全部邮件需指定 { all: true }" }, 400) };
+  }
+
+  const result = await env.DB.prepare(`
+    SELECT id FROM emails WHERE ${conditions.join(" AND ")}
+    ORDER BY created_at ASC
+    LIMIT ${CONFIG.BULK_FILTER_LIMIT + 1}
+  `).bind(...params).all();
+
+  const ids = (result.results || []).map(row => row.id);
+  return {
+    ids: ids.slice(0, CONFIG.BULK_FILTER_LIMIT),
+    missing: [],
+    hasMore: ids.length > CONFIG.BULK_FILTER_LIMIT,
+  };
+}
+
+/**
+ * 获取邮件的完整头部列表
+ * 入库时已保存解析结果，较早的邮件从原文中解析
+ */
+async function loadHeaders(env, email) {
+  if (email.headers) {
+    return parseJsonArray(email.headers);
+  }
+
+  const raw = await getRawEmail(env, email);
+  if (raw === null) {
+    return [];
+  }
+  return parseRawHeaders(raw instanceof Uint8Array ? raw : await readRawEmail(raw));
+}
+
+/**
+ * 将 HTML 中的 cid: 引用替换为可直接显示的地址
+ * 小图片内嵌为 data URI，其余使用带签名的附件地址
+ */
+async function resolveInlineImages(env, email, attachmentRows, record) {
+  const html = email.html_content;
+  if (!html || !/cid:/i.test(html)) {
+    return html;
+  }
+
+  const byContentId = new Map();
+  for (const att of attachmentRows) {
+    if (att.content_id) {
+      byContentId.set(att.content_id.toLowerCase(), att);
+    }
+  }
+  if (byContentId.size === 0) {
+    return html;
+  }
+
+  // 只查询需要内嵌的小图片内容
+  const smallImages = attachmentRows.filter(att =>
+    att.content_id && (att.content_type || "").startsWith("image/") && att.size <= CONFIG.INLINE_DATA_URI_MAX_BYTES
+  );
+  const dataUris = new Map();
+  if (smallImages.length > 0) {
+    const contentResult = await env.DB.prepare(`
+      SELECT id, content_type, content, object_key FROM attachments
+      WHERE id IN (${smallImages.map(() => "?").join(", ")})
+    `).bind(...smallImages.map(att => att.id)).all();
+
+    for (const row of contentResult.results || []) {
+      const bytes = await readAttachmentBytes(env, row);
+      if (bytes) {
+        dataUris.set(row.id, `data:${row.content_type};base64,${bytesToBase64(bytes)}`);
+      }
+    }
+  }
+
+  const replacements = new Map();
+  for (const [contentId, att] of byContentId) {
+    replacements.set(contentId, dataUris.get(att.id) || await signAttachmentUrl(record, att.id));
+  }
+
+  return html.replace(/cid:([^"'\s)>]+)/gi, (match, ref) => {
+    let contentId = ref;
+    try {
+      contentId = decodeURIComponent(ref);
+    } catch (e) {}
+    return replacements.get(contentId.toLowerCase()) || match;
+  });
+}
+
+/**
+ * 以 SSE 推送游标之后的新邮件
+ * 连接保持 STREAM_DURATION_MS 后主动关闭，客户端带上最后的事件 ID 重连即可无缝继续
+ */
+function streamInbox(env, address, cursor) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const send = text => writer.write(encoder.encode(text));
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  (async () => {
+    const deadline = Date.now() + CONFIG.STREAM_DURATION_MS;
+    let last = cursor;
+
+    try {
+      await send(`retry: ${CONFIG.STREAM_RETRY_MS}\n\n`);
+
+      while (Date.now() < deadline) {
+        const result = await env.DB.prepare(`
+          SELECT id, address, from_address, from_name, subject, text_content, has_attachments, codes, links,
+            spf_result, dkim_result, dmarc_result, is_read, is_starred, folder, spam_score, spam_reasons, to_address, plus_tag, created_at
+          FROM emails
+          WHERE address = ? AND folder = 'inbox' AND (created_at > ? OR (created_at = ? AND id > ?))
+          ORDER BY created_at ASC, id ASC
+          LIMIT ${CONFIG.INBOX_LIMIT}
+        `).bind(address, last.createdAt, last.createdAt, last.id).all();
+
+        for (const row of result.results || []) {
+          last = { createdAt: row.created_at, id: row.id };
+          await send(`id: ${formatCursor(row.created_at, row.id)}\nevent: message\ndata: ${JSON.stringify(toMessageSummary(row))}\n\n`);
+        }
+
+        // 心跳，同时用于发现客户端已断开
+        await send(": ping\n\n");
+        await sleep(CONFIG.STREAM_POLL_MS);
+      }
+    } catch (error) {
+      // 客户端断开时写入会失败，属于正常情况
+      console.log("Inbox stream closed:", error.message);
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })();
+
+  return new Response(readable, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
 }
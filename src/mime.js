@@ -0,0 +1,519 @@
+/**
+ * MIME 邮件解析
+ * 基于字节的递归解析，支持任意层级 multipart、message/rfc822、
+ * RFC 2047 编码头部、RFC 2231 参数、LF 换行以及二进制安全的附件解码
+ */
+
+const CR = 0x0d;
+const LF = 0x0a;
+const HYPHEN = 0x2d;
+
+// 最大嵌套层级，防止恶意构造的邮件耗尽资源
+const MAX_DEPTH = 20;
+
+const utf8Decoder = new TextDecoder("utf-8");
+const latin1Decoder = new TextDecoder("latin1");
+
+/**
+ * 读取邮件原始字节流
+ */
+export async function readRawEmail(stream) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let total = 0;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    total += value.length;
+  }
+
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * 解析 MIME 实体为树结构
+ * @returns {Object} { headers, headerList, contentType, params, disposition, dispositionParams,
+ *                     contentId, transferEncoding, body, children, message }
+ */
+export function parseMimeMessage(bytes, depth = 0) {
+  const { headerBytes, body } = splitHeaderAndBody(bytes);
+  const headerList = parseHeaderList(headerBytes);
+
+  // 同名头部取第一次出现的值，完整列表保留在 headerList 中
+  const headers = {};
+  for (const { name, value } of headerList) {
+    const key = name.toLowerCase();
+    if (!(key in headers)) {
+      headers[key] = value;
+    }
+  }
+
+  const type = parseHeaderValue(headers["content-type"] || "text/plain");
+  const disposition = parseHeaderValue(headers["content-disposition"] || "");
+
+  const node = {
+    headers,
+    headerList,
+    contentType: type.value.includes("/") ? type.value : "text/plain",
+    params: type.params,
+    disposition: disposition.value,
+    dispositionParams: disposition.params,
+    contentId: (headers["content-id"] || "").replace(/^\s*<|>\s*$/g, "").trim(),
+    transferEncoding: (headers["content-transfer-encoding"] || "").trim().toLowerCase(),
+    body,
+    children: [],
+    message: null,
+  };
+
+  if (depth >= MAX_DEPTH) {
+    return node;
+  }
+
+  if (node.contentType.startsWith("multipart/") && node.params.boundary) {
+    node.children = splitMultipart(body, node.params.boundary)
+      .map(part => parseMimeMessage(part, depth + 1));
+  } else if (node.contentType === "message/rfc822" || node.contentType === "message/global") {
+    node.message = parseMimeMessage(decodeTransfer(body, node.transferEncoding), depth + 1);
+  }
+
+  return node;
+}
+
+/**
+ * 从 MIME 树中提取正文和附件
+ * @returns {Object} { textContent, htmlContent, attachments }
+ */
+export function extractContent(root) {
+  const result = { textContent: "", htmlContent: "", attachments: [] };
+  collectParts(root, result, false);
+  return result;
+}
+
+function collectParts(node, result, inAlternative) {
+  if (node.children.length > 0) {
+    const alternative = inAlternative || node.contentType === "multipart/alternative";
+    for (const child of node.children) {
+      collectParts(child, result, alternative);
+    }
+    return;
+  }
+
+  // 无法切分的 multipart（缺少边界）直接忽略
+  if (node.contentType.startsWith("multipart/")) {
+    return;
+  }
+
+  const filename = node.dispositionParams.filename || node.params.name || "";
+  const isBodyType = node.contentType === "text/plain" || node.contentType === "text/html";
+
+  // 正文：未标记为附件且没有文件名的 text/plain、text/html
+  if (isBodyType && node.disposition !== "attachment" && !filename) {
+    const text = decodeText(decodeTransfer(node.body, node.transferEncoding), node.params.charset);
+    const key = node.contentType === "text/html" ? "htmlContent" : "textContent";
+    if (!result[key]) {
+      result[key] = text;
+    } else if (!inAlternative) {
+      // multipart/mixed 中的多段内联正文依次拼接，alternative 中的备选版本忽略
+      result[key] += key === "textContent" ? "\n\n" + text : text;
+    }
+    return;
+  }
+
+  let content;
+  let name = filename;
+  if (node.message) {
+    // 内嵌邮件作为 .eml 附件保存
+    content = decodeTransfer(node.body, node.transferEncoding);
+    name = name || `${sanitizeFilename(node.message.headers["subject"]) || "message"}.eml`;
+  } else {
+    content = decodeTransfer(node.body, node.transferEncoding);
+  }
+
+  result.attachments.push({
+    filename: name || "attachment",
+    contentType: node.contentType,
+    content,
+    size: content.length,
+    contentId: node.contentId,
+    // 带 Content-ID 且未声明为 attachment 的部分视为内联资源（如 HTML 中引用的图片）
+    inline: node.disposition === "inline" || (node.disposition !== "attachment" && !!node.contentId),
+  });
+}
+
+function sanitizeFilename(name) {
+  return (name || "").replace(/[\\/:*?"<>|\r\n]+/g, " ").trim().substring(0, 100);
+}
+
+/**
+ * 只解析邮件的顶层头部
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function parseRawHeaders(bytes) {
+  return parseHeaderList(splitHeaderAndBody(bytes).headerBytes);
+}
+
+/**
+ * 分离头部和正文，兼容 CRLF 与 LF
+ */
+function splitHeaderAndBody(bytes) {
+  // 以空行开头表示没有头部
+  if (bytes[0] === LF) {
+    return { headerBytes: bytes.subarray(0, 0), body: bytes.subarray(1) };
+  }
+  if (bytes[0] === CR && bytes[1] === LF) {
+    return { headerBytes: bytes.subarray(0, 0), body: bytes.subarray(2) };
+  }
+
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] !== LF) continue;
+    if (bytes[i + 1] === LF) {
+      return { headerBytes: bytes.subarray(0, i), body: bytes.subarray(i + 2) };
+    }
+    if (bytes[i + 1] === CR && bytes[i + 2] === LF) {
+      return { headerBytes: bytes.subarray(0, i), body: bytes.subarray(i + 3) };
+    }
+  }
+
+  return { headerBytes: bytes, body: bytes.subarray(bytes.length) };
+}
+
+/**
+ * 解析头部为有序列表（保留重复头部，如多个 Received）
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function parseHeaderList(headerBytes) {
+  const text = decodeHeaderBytes(headerBytes);
+  const list = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line)) {
+      // 续行
+      if (current) current.value += " " + line.trim();
+      continue;
+    }
+    const colonIndex = line.indexOf(":");
+    if (colonIndex <= 0) {
+      current = null;
+      continue;
+    }
+    current = { name: line.substring(0, colonIndex).trim(), value: line.substring(colonIndex + 1).trim() };
+    list.push(current);
+  }
+
+  return list.map(({ name, value }) => ({ name, value: decodeMimeHeader(value) }));
+}
+
+/**
+ * 头部字节解码：优先 UTF-8（RFC 6532），非法时按 latin1 处理
+ */
+function decodeHeaderBytes(bytes) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch (e) {
+    return latin1Decoder.decode(bytes);
+  }
+}
+
+/**
+ * 解码 RFC 2047 编码的头部
+ * 相邻的编码字（仅以空白分隔）合并后再解码，避免多字节字符被拆开
+ */
+export function decodeMimeHeader(str) {
+  if (!str || !str.includes("=?")) return str || "";
+
+  const encodedWord = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+  let output = "";
+  let lastIndex = 0;
+  let pending = null;
+
+  const flush = () => {
+    if (pending) {
+      output += decodeText(concatBytes(pending.chunks), pending.charset);
+      pending = null;
+    }
+  };
+
+  for (const match of str.matchAll(encodedWord)) {
+    const between = str.substring(lastIndex, match.index);
+    // RFC 2231 允许 charset*language 形式
+    const charset = match[1].split("*")[0].toLowerCase();
+    const bytes = match[2].toUpperCase() === "B"
+      ? decodeBase64Bytes(match[3])
+      : decodeQuotedPrintableBytes(latin1Bytes(match[3].replace(/_/g, " ")));
+
+    if (pending && /^\s*$/.test(between) && pending.charset === charset) {
+      pending.chunks.push(bytes);
+    } else {
+      flush();
+      // 两个编码字之间的空白需忽略
+      if (!(lastIndex > 0 && /^\s*$/.test(between))) {
+        output += between;
+      }
+      pending = { charset, chunks: [bytes] };
+    }
+    lastIndex = match.index + match[0].length;
+  }
+
+  flush();
+  return output + str.substring(lastIndex);
+}
+
+/**
+ * 解析带参数的头部值，如 Content-Type、Content-Disposition
+ * 支持引号、RFC 2231 扩展参数（name*=charset'lang'value）和续行参数（name*0*=...）
+ * @returns {Object} { value: 小写主值, params: { 小写参数名: 解码后的值 } }
+ */
+export function parseHeaderValue(header) {
+  const segments = splitParams(header || "");
+  const value = (segments.shift() || "").trim().toLowerCase();
+  const simple = {};
+  const extended = {};
+
+  for (const segment of segments) {
+    const eqIndex = segment.indexOf("=");
+    if (eqIndex <= 0) continue;
+
+    const rawName = segment.substring(0, eqIndex).trim().toLowerCase();
+    let rawValue = segment.substring(eqIndex + 1).trim();
+    if (rawValue.startsWith('"') && rawValue.endsWith('"') && rawValue.length >= 2) {
+      rawValue = rawValue.slice(1, -1).replace(/\\(.)/g, "$1");
+    }
+
+    const match = rawName.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+    if (!match) continue;
+    const [, name, index, encoded] = match;
+
+    if (index === undefined && !encoded) {
+      simple[name] = decodeMimeHeader(rawValue);
+    } else {
+      (extended[name] = extended[name] || []).push({ index: Number(index || 0), value: rawValue, encoded: !!encoded });
+    }
+  }
+
+  const params = { ...simple };
+  for (const [name, parts] of Object.entries(extended)) {
+    parts.sort((a, b) => a.index - b.index);
+    let charset = "utf-8";
+    const chunks = [];
+
+    parts.forEach((part, i) => {
+      let partValue = part.value;
+      if (part.encoded && i === 0) {
+        const quoteMatch = partValue.match(/^([^']*)'[^']*'(.*)$/);
+        if (quoteMatch) {
+          charset = quoteMatch[1] || charset;
+          partValue = quoteMatch[2];
+        }
+      }
+      chunks.push(part.encoded ? percentDecodeBytes(partValue) : latin1Bytes(partValue));
+    });
+
+    params[name] = decodeText(concatBytes(chunks), charset);
+  }
+
+  return { value, params };
+}
+
+/**
+ * 按分号切分参数（忽略引号内的分号）
+ */
+function splitParams(header) {
+  const segments = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < header.length; i++) {
+    const ch = header[i];
+    if (ch === "\\" && inQuotes && i + 1 < header.length) {
+      current += ch + header[++i];
+      continue;
+    }
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === ";" && !inQuotes) {
+      segments.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  segments.push(current);
+  return segments;
+}
+
+/**
+ * 按边界切分 multipart 正文
+ * 分隔行必须位于行首，其前面的换行属于分隔符；没有结束分隔符时取到末尾
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = latin1Bytes(`--${boundary}`);
+  const parts = [];
+  let partStart = -1;
+  let position = 0;
+
+  for (;;) {
+    const index = indexOfBytes(body, delimiter, position);
+    if (index === -1) break;
+    position = index + delimiter.length;
+
+    if (index > 0 && body[index - 1] !== LF) continue;
+
+    let lineEnd = position;
+    const isClose = body[lineEnd] === HYPHEN && body[lineEnd + 1] === HYPHEN;
+    if (isClose) lineEnd += 2;
+    // 忽略分隔行尾部的空白
+    while (body[lineEnd] === 0x20 || body[lineEnd] === 0x09) lineEnd++;
+    if (lineEnd < body.length && body[lineEnd] !== CR && body[lineEnd] !== LF) continue;
+
+    if (partStart !== -1) {
+      let partEnd = index;
+      if (partEnd > partStart && body[partEnd - 1] === LF) partEnd--;
+      if (partEnd > partStart && body[partEnd - 1] === CR) partEnd--;
+      parts.push(body.subarray(partStart, Math.max(partStart, partEnd)));
+    }
+
+    if (isClose) {
+      return parts;
+    }
+
+    if (body[lineEnd] === CR) lineEnd++;
+    if (body[lineEnd] === LF) lineEnd++;
+    partStart = lineEnd;
+    position = lineEnd;
+  }
+
+  // 缺少结束分隔符（邮件被截断）
+  if (partStart !== -1 && partStart < body.length) {
+    parts.push(body.subarray(partStart));
+  }
+  return parts;
+}
+
+function indexOfBytes(haystack, needle, from) {
+  const first = needle[0];
+  const last = haystack.length - needle.length;
+  outer: for (let i = from; i <= last; i++) {
+    if (haystack[i] !== first) continue;
+    for (let j = 1; j < needle.length; j++) {
+      if (haystack[i + j] !== needle[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * 按 Content-Transfer-Encoding 解码为字节
+ */
+export function decodeTransfer(bytes, encoding) {
+  if (encoding === "base64") {
+    return decodeBase64Bytes(latin1Decoder.decode(bytes));
+  }
+  if (encoding === "quoted-printable") {
+    return decodeQuotedPrintableBytes(bytes);
+  }
+  // 7bit / 8bit / binary 原样返回
+  return bytes;
+}
+
+function decodeBase64Bytes(str) {
+  let cleaned = str.replace(/[^A-Za-z0-9+/]/g, "");
+  // 容忍缺少填充的编码
+  cleaned = cleaned.substring(0, cleaned.length - (cleaned.length % 4 === 1 ? 1 : 0));
+  while (cleaned.length % 4 !== 0) cleaned += "=";
+  try {
+    return latin1Bytes(atob(cleaned));
+  } catch (e) {
+    return latin1Bytes(str);
+  }
+}
+
+function decodeQuotedPrintableBytes(bytes) {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte !== 0x3d) {
+      output[length++] = byte;
+      continue;
+    }
+    // 软换行
+    if (bytes[i + 1] === LF) { i += 1; continue; }
+    if (bytes[i + 1] === CR && bytes[i + 2] === LF) { i += 2; continue; }
+
+    const hi = hexValue(bytes[i + 1]);
+    const lo = hexValue(bytes[i + 2]);
+    if (hi !== -1 && lo !== -1) {
+      output[length++] = (hi << 4) | lo;
+      i += 2;
+    } else {
+      output[length++] = byte;
+    }
+  }
+
+  return output.subarray(0, length);
+}
+
+function hexValue(byte) {
+  if (byte >= 0x30 && byte <= 0x39) return byte - 0x30;
+  if (byte >= 0x41 && byte <= 0x46) return byte - 0x37;
+  if (byte >= 0x61 && byte <= 0x66) return byte - 0x57;
+  return -1;
+}
+
+function percentDecodeBytes(str) {
+  const bytes = [];
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === "%" && /^[0-9A-Fa-f]{2}$/.test(str.substring(i + 1, i + 3))) {
+      bytes.push(parseInt(str.substring(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(str.charCodeAt(i) & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+function latin1Bytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+function concatBytes(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * 按字符集解码文本，不支持的字符集回退到 UTF-8
+ */
+export function decodeText(bytes, charset) {
+  const label = (charset || "utf-8").trim().toLowerCase();
+  // 常见别名：gb2312 实际多为 GBK 编码
+  const aliases = { "gb2312": "gbk", "cp936": "gbk", "x-gbk": "gbk", "utf8": "utf-8", "us-ascii": "utf-8", "ascii": "utf-8" };
+
+  try {
+    return new TextDecoder(aliases[label] || label).decode(bytes);
+  } catch (e) {
+    return utf8Decoder.decode(bytes);
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * 速率限制
+ * 滑动窗口计数：按固定窗口记录请求数，并按时间比例计入上一个窗口的请求数，避免在窗口交界处突发翻倍；
+ * 判断和递增在同一条语句中完成，并发请求不会超出上限
+ * 层级：匿名请求按 IP 计数，携带 API 密钥的请求按账户计数，访问邮箱的请求通过校验后另按邮箱地址计数
+ */
+
+import { CONFIG, jsonResponse, getClientIP } from "./utils.js";
+
+// 同一请求各层级检查结果中最紧的一个，用于响应头
+const requestLimits = new WeakMap();
+
+/**
+ * 检查并计数，超出上限时不计数
+ * @param {string} subject 计数对象：IP、"account:<账户ID>" 或 "address:<邮箱地址>"
+ * @param {number} maxRequests 滑动窗口内的最大请求数
+ * @returns {Object} { allowed, limit, remaining, resetAt, failed }，failed 表示 D1 出错
+ */
+export async function checkRateLimit(env, subject, endpoint, maxRequests) {
+  const now = Date.now();
+  const windowMs = CONFIG.RATE_LIMIT_WINDOW_MS;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const previousStart = windowStart - windowMs;
+  // 上一个窗口的请求数按剩余时间比例计入
+  const weight = 1 - (now - windowStart) / windowMs;
+
+  try {
+    const [increment, counts] = await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO rate_limits (ip, endpoint, window_start, request_count, request_limit)
+        SELECT ?1, ?2, ?3, 1, ?6
+        WHERE COALESCE((SELECT request_count FROM rate_limits WHERE ip = ?1 AND endpoint = ?2 AND window_start = ?4), 0) * ?5 + 1 <= ?6
+        ON CONFLICT (ip, endpoint, window_start)
+        DO UPDATE SET request_count = request_count + 1, request_limit = ?6
+        WHERE COALESCE((SELECT p.request_count FROM rate_limits p WHERE p.ip = ?1 AND p.endpoint = ?2 AND p.window_start = ?4), 0) * ?5
+          + rate_limits.request_count + 1 <= ?6
+        RETURNING request_count
+      `).bind(subject, endpoint, windowStart, previousStart, weight, maxRequests),
+      env.DB.prepare(`
+        SELECT window_start, request_count FROM rate_limits WHERE ip = ? AND endpoint = ? AND window_start IN (?, ?)
+      `).bind(subject, endpoint, windowStart, previousStart),
+    ]);
+
+    return {
+      allowed: (increment.results || []).length > 0,
+      ...limitState(counts.results || [], now, maxRequests),
+      failed: false,
+    };
+  } catch (error) {
+    // 默认放行（优雅降级），RATE_LIMIT_FAIL_MODE=closed 时拒绝
+    console.error("Rate limit check failed:", error);
+    return { allowed: env.RATE_LIMIT_FAIL_MODE !== "closed", limit: maxRequests, remaining: 0, resetAt: now + windowMs, failed: true };
+  }
+}
+
+/**
+ * 读取当前的限制状态，不计数
+ * @returns {Object|null} { limit, remaining, resetAt }，D1 出错时返回 null
+ */
+async function peekRateLimit(env, subject, endpoint, maxRequests) {
+  const now = Date.now();
+  const windowStart = Math.floor(now / CONFIG.RATE_LIMIT_WINDOW_MS) * CONFIG.RATE_LIMIT_WINDOW_MS;
+
+  try {
+    const counts = await env.DB.prepare(`
+      SELECT window_start, request_count FROM rate_limits WHERE ip = ? AND endpoint = ? AND window_start IN (?, ?)
+    `).bind(subject, endpoint, windowStart, windowStart - CONFIG.RATE_LIMIT_WINDOW_MS).all();
+    return limitState(counts.results || [], now, maxRequests);
+  } catch (error) {
+    console.error("Rate limit peek failed:", error);
+    return null;
+  }
+}
+
+/**
+ * 由当前和上一个窗口的计数得出剩余请求数和恢复时间
+ */
+function limitState(rows, now, maxRequests) {
+  const windowMs = CONFIG.RATE_LIMIT_WINDOW_MS;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const weight = 1 - (now - windowStart) / windowMs;
+  const current = rows.find(row => row.window_start === windowStart)?.request_count || 0;
+  const previous = rows.find(row => row.window_start === windowStart - windowMs)?.request_count || 0;
+  const remaining = Math.max(0, Math.floor(maxRequests - previous * weight - current));
+
+  return {
+    limit: maxRequests,
+    remaining,
+    resetAt: remaining > 0 ? windowStart + windowMs : nextAllowedAt(now, windowStart, previous, current, maxRequests),
+  };
+}
+
+/**
+ * 端点对应的计数键：管理接口共用一个计数，未配置的端点共用 default 计数，避免通过任意路径获得新的额度
+ */
+function limitKey(endpoint) {
+  if (endpoint.startsWith("/api/admin/")) {
+    return "/api/admin";
+  }
+  return Object.hasOwn(CONFIG.RATE_LIMIT_MAX_REQUESTS, endpoint) ? endpoint : "default";
+}
+
+/**
+ * 按层级检查速率限制，并记录结果用于响应头
+ * @param {Object} options { subject, endpoint, multiplier }，未配置的端点使用 default 上限
+ * @returns {Response|null} 超出上限时返回 429（D1 出错且配置为拒绝时返回 503），否则返回 null
+ */
+export async function enforceRateLimit(env, request, { subject, endpoint, multiplier = 1 }) {
+  const key = limitKey(endpoint);
+  const result = await checkRateLimit(env, subject, key, CONFIG.RATE_LIMIT_MAX_REQUESTS[key] * multiplier);
+
+  if (!result.failed) {
+    const tightest = requestLimits.get(request);
+    if (!tightest || result.remaining < tightest.remaining || !result.allowed) {
+      requestLimits.set(request, result);
+    }
+  }
+
+  if (result.allowed) {
+    return null;
+  }
+  if (result.failed) {
+    return jsonResponse({ success: false, error: "服务暂时不可用，请稍后再试" }, 503);
+  }
+  return rateLimitResponse(result.resetAt);
+}
+
+/**
+ * 为 API 响应加上 RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset 头部（Reset 为秒数）
+ * 没有经过速率限制检查的请求（如 CORS 预检）按该端点 IP 层级的当前状态给出，不计数；读取出错时原样返回
+ */
+export async function withRateLimitHeaders(env, request, response) {
+  let result = requestLimits.get(request);
+  if (!result) {
+    const key = limitKey(new URL(request.url).pathname);
+    result = await peekRateLimit(env, getClientIP(request), key, CONFIG.RATE_LIMIT_MAX_REQUESTS[key] * CONFIG.RATE_LIMIT_TIERS.ip);
+  }
+  if (!result) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set("RateLimit-Limit", String(result.limit));
+  headers.set("RateLimit-Remaining", String(result.remaining));
+  headers.set("RateLimit-Reset", String(Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000))));
+  headers.set("Access-Control-Expose-Headers", "RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After");
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+// 速率限制响应
+export function rateLimitResponse(resetAt) {
+  const retryAfter = Math.ceil((resetAt - Date.now()) / 1000);
+  return new Response(JSON.stringify({
+    success: false,
+    error: "请求过于频繁，请稍后再试",
+    retryAfter: retryAfter > 0 ? retryAfter : 60,
+  }), {
+    status: 429,
+    headers: {
+      "Content-Type": "application/json",
+      "Retry-After": String(retryAfter > 0 ? retryAfter : 60),
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
+}
+
+/**
+ * 滑动窗口计数恢复到可以再发一个请求的时间
+ */
+function nextAllowedAt(now, windowStart, previous, current, maxRequests) {
+  const windowMs = CONFIG.RATE_LIMIT_WINDOW_MS;
+  let time;
+  if (current + 1 > maxRequests) {
+    // 当前窗口本身已满，需等到它成为上一个窗口并按比例衰减
+    time = windowStart + windowMs + windowMs * (1 - (maxRequests - 1) / current);
+  } else {
+    time = windowStart + windowMs * (1 - (maxRequests - current - 1) / previous);
+  }
+  return Math.max(now, Math.ceil(time));
+}
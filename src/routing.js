@@ -0,0 +1,187 @@
+/**
+ * 收件路由：按域名的收件策略、按用户名模式改投的路由规则和加号地址标签
+ * 策略和路由保存在 D1 中，由管理接口维护；收信时在收信规则之后、解析邮件之前确定实际投递的邮箱
+ */
+
+import { isAllowedDomain } from "./domains.js";
+
+// 收件策略：接收任意地址、只接收已生成或认领的邮箱、只接收匹配路由的地址
+export const DOMAIN_POLICIES = ["accept_all", "generated_only", "routes_only"];
+
+// 路由模式类型
+export const ROUTE_PATTERN_TYPES = ["wildcard", "regex"];
+
+/**
+ * 确定实际投递的邮箱
+ * 先按优先级匹配路由（匹配完整的用户名，含加号标签）；未命中时 user+tag@domain 投递到 user@domain，
+ * 除非 user+tag@domain 本身是已生成或认领的邮箱；最后按域名的收件策略检查
+ * @param {string} recipient 收件人（小写）
+ * @returns {Object} 接收时 { address, plusTag }，拒收时 { reject: 拒收原因（会出现在退信中） }
+ */
+export async function resolveRecipient(env, recipient) {
+  const at = recipient.lastIndexOf("@");
+  const localPart = recipient.substring(0, at);
+  const domain = recipient.substring(at + 1);
+
+  const [policyResult, routeResult] = await env.DB.batch([
+    env.DB.prepare(`
+      SELECT policy FROM domain_policies WHERE domain = ?
+    `).bind(domain),
+    env.DB.prepare(`
+      SELECT id, pattern_type, pattern, target FROM route_rules
+      WHERE domain = ? AND enabled = 1
+      ORDER BY priority ASC, created_at ASC
+    `).bind(domain),
+  ]);
+  const policy = policyResult.results?.[0]?.policy || "accept_all";
+
+  const plus = localPart.indexOf("+");
+  const plusTag = plus > 0 ? localPart.substring(plus + 1) || null : null;
+
+  const route = (routeResult.results || []).find(rule => matchesPattern(rule, localPart));
+  if (route) {
+    await recordRouteHit(env, route.id);
+    return { address: route.target, plusTag };
+  }
+  if (policy === "routes_only") {
+    return { reject: "Recipient not accepted" };
+  }
+
+  if (plus <= 0 && policy === "accept_all") {
+    return { address: recipient, plusTag: null };
+  }
+
+  const baseAddress = plus > 0 ? `${localPart.substring(0, plus)}@${domain}` : recipient;
+  const result = await env.DB.prepare(`
+    SELECT address FROM generated_addresses WHERE address IN (?, ?) AND destroyed_at IS NULL
+  `).bind(recipient, baseAddress).all();
+  const generated = (result.results || []).map(row => row.address);
+
+  if (generated.includes(recipient)) {
+    return { address: recipient, plusTag: null };
+  }
+  if (policy === "generated_only" && !generated.includes(baseAddress)) {
+    return { reject: "Recipient not accepted" };
+  }
+  return { address: baseAddress, plusTag };
+}
+
+/**
+ * 地址是否为路由的目标（含已停用的路由，重新启用后邮件仍会改投到该地址）
+ * 路由目标不能被生成或认领，否则认领者可以读取改投过去的邮件
+ */
+export async function isRouteTarget(env, address) {
+  const row = await env.DB.prepare(`
+    SELECT id FROM route_rules WHERE target = ? LIMIT 1
+  `).bind(address).first();
+  return row !== null;
+}
+
+/**
+ * 用户名是否匹配路由：wildcard 中 * 匹配任意字符（可为空），regex 需匹配整个用户名，均不区分大小写
+ */
+function matchesPattern(rule, localPart) {
+  try {
+    return compilePattern(rule.pattern_type, rule.pattern).test(localPart);
+  } catch (error) {
+    // 保存时已校验，这里只防止历史数据导致收信失败
+    console.error(`Invalid route pattern ${rule.id}:`, error);
+    return false;
+  }
+}
+
+function compilePattern(type, pattern) {
+  if (type === "wildcard") {
+    const source = pattern.split("*").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${source}$`, "i");
+  }
+  return new RegExp(`^(?:${pattern})$`, "i");
+}
+
+async function recordRouteHit(env, routeId) {
+  try {
+    await env.DB.prepare(`
+      UPDATE route_rules SET hit_count = hit_count + 1, last_hit_at = ? WHERE id = ?
+    `).bind(Date.now(), routeId).run();
+  } catch (error) {
+    // 计数失败不影响收信
+    console.error("Error recording route hit:", error);
+  }
+}
+
+/**
+ * 校验并规范化路由
+ * @param {Object} input { domain, type, pattern, target, priority, note, enabled }，target 不含 @ 时视为同域名下的用户名
+ * @returns {Object} 成功时 { route }，失败时 { error: string }
+ */
+export async function normalizeRoute(input, env) {
+  const { type, note, enabled } = input;
+
+  const domain = typeof input.domain === "string" ? input.domain.trim().toLowerCase() : "";
+  if (!domain || !(await isAllowedDomain(`@${domain}`, env))) {
+    return { error: "domain 必须是支持的域名之一" };
+  }
+
+  if (!ROUTE_PATTERN_TYPES.includes(type)) {
+    return { error: `type 必须是 ${ROUTE_PATTERN_TYPES.join("、")} 之一` };
+  }
+
+  const pattern = typeof input.pattern === "string" ? input.pattern.trim() : "";
+  if (!pattern || pattern.length > 200) {
+    return { error: "pattern 不能为空，且不超过 200 个字符" };
+  }
+  if (type === "wildcard" && !/^[a-zA-Z0-9._+*-]+$/.test(pattern)) {
+    return { error: "通配符模式只能包含字母、数字、. _ + - 和 *" };
+  }
+  if (type === "regex") {
+    try {
+      compilePattern(type, pattern);
+    } catch {
+      return { error: "pattern 不是有效的正则表达式" };
+    }
+  }
+
+  let target = typeof input.target === "string" ? input.target.trim().toLowerCase() : "";
+  if (target && !target.includes("@")) {
+    target = `${target}@${domain}`;
+  }
+  if (!/^[a-z0-9._+-]+@[a-z0-9.-]+$/.test(target) || !(await isAllowedDomain(target, env))) {
+    return { error: "target 必须是支持的域名下的邮箱地址" };
+  }
+
+  const priority = input.priority === undefined || input.priority === null ? 100 : input.priority;
+  if (!Number.isInteger(priority) || priority < 0 || priority > 10000) {
+    return { error: "priority 必须是 0 到 10000 的整数" };
+  }
+
+  if (note !== undefined && note !== null && (typeof note !== "string" || note.length > 200)) {
+    return { error: "备注必须是不超过 200 个字符的文本" };
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return { error: "enabled 必须是 true 或 false" };
+  }
+
+  return {
+    route: { domain, type, pattern, target, priority, note: note || null, enabled: enabled !== false },
+  };
+}
+
+/**
+ * 路由的 API 表示
+ */
+export function formatRoute(row) {
+  return {
+    id: row.id,
+    domain: row.domain,
+    type: row.pattern_type,
+    pattern: row.pattern,
+    target: row.target,
+    priority: row.priority,
+    note: row.note || null,
+    enabled: row.enabled === 1,
+    hits: row.hit_count || 0,
+    lastHitAt: row.last_hit_at ? new Date(row.last_hit_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * 收信规则：发件人黑名单、收件人前缀黑名单、按收件域名的发件人白名单和邮件大小上限
+ * 规则保存在 D1 中，由管理接口维护；收信时在解析邮件之前检查，命中拒收规则时退信
+ */
+
+import { isAllowedDomain } from "./domains.js";
+
+// 规则类型
+export const RULE_TYPES = ["block_sender", "block_recipient", "allow_sender", "max_size"];
+
+/**
+ * 检查收信规则，并为作出决定的规则累计命中次数
+ * 拒收规则优先于白名单；某个域名配置了白名单后，只接收名单内的发件人
+ * @param {Object} envelope { from: 信封发件人, to: 收件人, size: 原始邮件大小（字节） }
+ * @returns {string|null} 拒收原因（会出现在退信中），允许接收时返回 null
+ */
+export async function applyIngestRules(env, { from, to, size }) {
+  const result = await env.DB.prepare(`
+    SELECT id, type, value, domain FROM ingest_rules WHERE enabled = 1
+  `).all();
+
+  const rules = result.results || [];
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const sender = (from || "").toLowerCase();
+  const recipient = to.toLowerCase();
+  const at = recipient.lastIndexOf("@");
+  const localPart = recipient.substring(0, at);
+  const recipientDomain = recipient.substring(at + 1);
+
+  for (const rule of rules) {
+    if (rule.domain && rule.domain !== recipientDomain) continue;
+
+    let reason = null;
+    if (rule.type === "max_size" && size > Number(rule.value)) {
+      reason = "Message too large";
+    } else if (rule.type === "block_sender" && matchesSender(rule.value, sender)) {
+      reason = "Sender blocked";
+    } else if (rule.type === "block_recipient" && localPart.startsWith(rule.value)) {
+      reason = "Recipient not accepted";
+    }
+
+    if (reason) {
+      await recordRuleHit(env, rule.id);
+      return reason;
+    }
+  }
+
+  const allowRules = rules.filter(rule => rule.type === "allow_sender" && rule.domain === recipientDomain);
+  if (allowRules.length > 0) {
+    const allowed = allowRules.find(rule => matchesSender(rule.value, sender));
+    if (!allowed) {
+      return "Sender not allowed";
+    }
+    await recordRuleHit(env, allowed.id);
+  }
+
+  return null;
+}
+
+/**
+ * 发件人是否匹配规则值：包含 @ 时按完整地址匹配，否则按域名（含子域名）匹配
+ */
+function matchesSender(value, sender) {
+  if (!sender) return false;
+  if (value.includes("@")) {
+    return sender === value;
+  }
+  const domain = sender.substring(sender.lastIndexOf("@") + 1);
+  return domain === value || domain.endsWith(`.${value}`);
+}
+
+async function recordRuleHit(env, ruleId) {
+  try {
+    await env.DB.prepare(`
+      UPDATE ingest_rules SET hit_count = hit_count + 1, last_hit_at = ? WHERE id = ?
+    `).bind(Date.now(), ruleId).run();
+  } catch (error) {
+    // 计数失败不影响收信
+    console.error("Error recording rule hit:", error);
+  }
+}
+
+/**
+ * 校验并规范化规则
+ * @param {Object} input { type, value, domain, note, enabled }
+ * @returns {Object} 成功时 { rule }，失败时 { error: string }
+ */
+export async function normalizeRule(input, env) {
+  const { type, note, enabled } = input;
+
+  if (!RULE_TYPES.includes(type)) {
+    return { error: `type 必须是 ${RULE_TYPES.join("、")} 之一` };
+  }
+
+  let domain = null;
+  if (input.domain !== undefined && input.domain !== null && input.domain !== "") {
+    domain = typeof input.domain === "string" ? input.domain.trim().toLowerCase() : "";
+    if (!(await isAllowedDomain(`@${domain}`, env))) {
+      return { error: "domain 必须是支持的域名之一" };
+    }
+  }
+  if (type === "allow_sender" && !domain) {
+    return { error: "白名单规则必须指定 domain" };
+  }
+
+  let value;
+  if (type === "max_size") {
+    value = Number(input.value);
+    if (!Number.isInteger(value) || value <= 0) {
+      return { error: "大小上限必须是正整数（字节）" };
+    }
+    value = String(value);
+  } else {
+    value = typeof input.value === "string" ? input.value.trim().toLowerCase() : "";
+    if (type === "block_recipient") {
+      if (!/^[a-z0-9._+-]+$/.test(value)) {
+        return { error: "收件人前缀只能包含字母、数字和 . _ + -" };
+      }
+    } else {
+      // 发件人可以是完整地址或域名，"@example.com" 视为域名
+      value = value.replace(/^@/, "");
+      if (!/^[^\s@]+@[a-z0-9.-]+$/.test(value) && !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value)) {
+        return { error: "发件人必须是邮箱地址或域名" };
+      }
+    }
+  }
+
+  if (note !== undefined && note !== null && (typeof note !== "string" || note.length > 200)) {
+    return { error: "备注必须是不超过 200 个字符的文本" };
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return { error: "enabled 必须是 true 或 false" };
+  }
+
+  return { rule: { type, value, domain, note: note || null, enabled: enabled !== false } };
+}
+
+/**
+ * 规则的 API 表示
+ */
+export function formatRule(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    value: row.type === "max_size" ? Number(row.value) : row.value,
+    domain: row.domain || null,
+    note: row.note || null,
+    enabled: row.enabled === 1,
+    hits: row.hit_count || 0,
+    lastHitAt: row.last_hit_at ? new Date(row.last_hit_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
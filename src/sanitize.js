@@ -0,0 +1,249 @@
+/**
+ * HTML 邮件净化
+ * 使用 HTMLRewriter 移除脚本、事件处理器和危险链接，并默认拦截远程资源（跟踪像素、外部样式等）
+ */
+
+// 连同内容一起移除的元素
+const REMOVED_ELEMENTS = "script, iframe, frame, frameset, object, embed, applet, base, meta, link, noscript, template";
+
+// 移除标签但保留内部内容的元素
+const UNWRAPPED_ELEMENTS = "form, html, head, body";
+
+// 包含链接的属性
+const URL_ATTRIBUTES = new Set(["href", "src", "action", "formaction", "background", "poster", "lowsrc", "dynsrc", "xlink:href", "data", "cite", "longdesc"]);
+
+// 会加载远程资源的属性
+const RESOURCE_ATTRIBUTES = new Set(["src", "background", "poster", "lowsrc", "dynsrc", "srcset", "data"]);
+
+// href 会加载资源（而不是作为链接）的 SVG 元素
+const RESOURCE_HREF_ELEMENTS = new Set(["image", "use", "feimage"]);
+
+// 会改变链接或 CSS 含义的命名字符实体
+const NAMED_ENTITIES = {
+  quot: "\"", apos: "'", amp: "&", lt: "<", gt: ">", tab: "\t", newline: "\n", colon: ":",
+  lpar: "(", rpar: ")", sol: "/", bsol: "\\", semi: ";", comma: ",", period: ".", num: "#",
+};
+
+// 始终移除的属性
+const REMOVED_ATTRIBUTES = new Set(["srcdoc", "formaction", "action", "ping"]);
+
+/**
+ * 净化 HTML
+ * @param {string} html 原始 HTML
+ * @param {Object} options { allowRemote: 是否允许加载远程资源 }
+ * @returns {Object} { html, remoteBlocked: 被拦截的远程资源数量 }
+ */
+export async function sanitizeHtml(html, { allowRemote = false } = {}) {
+  if (!html) {
+    return { html: html || "", remoteBlocked: 0 };
+  }
+
+  let remoteBlocked = 0;
+  let styleText = "";
+
+  const rewriter = new HTMLRewriter()
+    .on(REMOVED_ELEMENTS, {
+      element(element) {
+        element.remove();
+      },
+    })
+    .on(UNWRAPPED_ELEMENTS, {
+      element(element) {
+        element.removeAndKeepContent();
+      },
+    })
+    .on("style", {
+      // 样式内容可能被拆成多段，收集完整后统一处理
+      text(text) {
+        styleText += text.text;
+        if (text.lastInTextNode) {
+          const result = sanitizeCss(styleText, allowRemote);
+          remoteBlocked += result.remoteBlocked;
+          text.replace(result.css, { html: true });
+          styleText = "";
+        } else {
+          text.remove();
+        }
+      },
+    })
+    .on("*", {
+      element(element) {
+        for (const [name, value] of [...element.attributes]) {
+          const attr = name.toLowerCase();
+
+          // 事件处理器和危险属性
+          if (attr.startsWith("on") || REMOVED_ATTRIBUTES.has(attr)) {
+            element.removeAttribute(name);
+            continue;
+          }
+
+          if (attr === "style") {
+            // 属性值未解码，解码后再净化，否则 url(&quot;...&quot;) 之类的写法可以绕过；
+            // setAttribute 只转义双引号，写回时需转义 &，避免被浏览器再解码一次
+            const result = sanitizeCss(decodeEntities(value), allowRemote);
+            remoteBlocked += result.remoteBlocked;
+            element.setAttribute(name, result.css.replace(/&/g, "&amp;"));
+            continue;
+          }
+
+          if (attr === "srcset") {
+            const urls = value.split(",").map(item => item.trim().split(/\s+/)[0]);
+            if (urls.some(url => isDangerousUrl(url, false))) {
+              element.removeAttribute(name);
+            } else if (!allowRemote && urls.some(isRemoteUrl)) {
+              element.removeAttribute(name);
+              remoteBlocked++;
+            }
+            continue;
+          }
+
+          if (!URL_ATTRIBUTES.has(attr)) continue;
+
+          if (isDangerousUrl(value, attr === "src" && element.tagName === "img")) {
+            element.removeAttribute(name);
+            continue;
+          }
+
+          if (!allowRemote && isResourceAttribute(element, attr) && isRemoteUrl(value)) {
+            // 保留原地址以便调试，但不会被加载
+            element.removeAttribute(name);
+            element.setAttribute(`data-blocked-${attr}`, value);
+            remoteBlocked++;
+          }
+        }
+
+        // 链接在新窗口打开，且不泄露来源
+        if (element.tagName === "a") {
+          element.setAttribute("target", "_blank");
+          element.setAttribute("rel", "noopener noreferrer");
+        }
+      },
+    });
+
+  const output = await rewriter.transform(new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" },
+  })).text();
+
+  return { html: output, remoteBlocked };
+}
+
+/**
+ * 属性是否会加载资源：RESOURCE_ATTRIBUTES 中的属性，以及 SVG image、use、feImage 的 href
+ */
+function isResourceAttribute(element, attr) {
+  if (RESOURCE_ATTRIBUTES.has(attr)) {
+    return true;
+  }
+  return (attr === "href" || attr === "xlink:href") && RESOURCE_HREF_ELEMENTS.has(element.tagName.toLowerCase());
+}
+
+/**
+ * 解码字符实体并去除空白和控制字符后判断协议
+ * HTMLRewriter 返回的是未解码的属性值，需防止 "java&#x09;script:" 之类的绕过
+ */
+function normalizeUrl(url) {
+  return decodeEntities(url || "")
+    .replace(/[\u0000- \u007f-\u009f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * 解码属性值中的数字字符实体和 NAMED_ENTITIES 中的命名实体，其他命名实体保持原样
+ */
+function decodeEntities(value) {
+  return value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (match, hex, dec, name) => {
+    if (hex) return fromCodePoint(parseInt(hex, 16));
+    if (dec) return fromCodePoint(parseInt(dec, 10));
+    return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+function fromCodePoint(code) {
+  return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+}
+
+/**
+ * javascript:、vbscript: 以及除内联图片外的 data: 链接
+ */
+function isDangerousUrl(url, allowDataImage) {
+  const normalized = normalizeUrl(url);
+  if (normalized.startsWith("javascript:") || normalized.startsWith("vbscript:")) {
+    return true;
+  }
+  if (normalized.startsWith("data:")) {
+    return !(allowDataImage && /^data:image\/(png|gif|jpe?g|webp|bmp);/.test(normalized));
+  }
+  return false;
+}
+
+/**
+ * 外部资源（http、https、协议相对地址）
+ */
+function isRemoteUrl(url) {
+  const normalized = normalizeUrl(url);
+  return normalized.startsWith("http:") || normalized.startsWith("https:") || normalized.startsWith("//");
+}
+
+/**
+ * 净化 CSS：移除 @import、expression() 等，并按需拦截 url() 和 image-set() 中的远程资源
+ */
+function sanitizeCss(css, allowRemote) {
+  let remoteBlocked = 0;
+
+  // 危险的地址，以及不允许时的远程资源（计数）
+  const isBlocked = url => {
+    if (isDangerousUrl(url, true)) {
+      return true;
+    }
+    if (!allowRemote && isRemoteUrl(url)) {
+      remoteBlocked++;
+      return true;
+    }
+    return false;
+  };
+
+  let cleaned = css
+    .replace(/<\/?style/gi, "")
+    .replace(/@import[^;]*;?/gi, "")
+    .replace(/expression\s*\(/gi, "(")
+    .replace(/(behavior|-moz-binding)\s*:/gi, "x-removed:")
+    .replace(/url\s*\(\s*(["']?)(.*?)\1\s*\)/gi, (match, quote, url) => isBlocked(url) ? "url()" : match);
+
+  // image-set() 中的地址可以不写 url()，直接写成带引号的字符串
+  cleaned = replaceImageSetStrings(cleaned, (match, quote, url) => isBlocked(url) ? `${quote}${quote}` : match);
+
+  return { css: cleaned, remoteBlocked };
+}
+
+/**
+ * 替换 image-set()（含 -webkit- 前缀）参数中带引号的字符串，括号按嵌套匹配
+ */
+function replaceImageSetStrings(css, replacer) {
+  const pattern = /image-set\s*\(/gi;
+  let output = "";
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(css)) !== null) {
+    const start = match.index + match[0].length;
+    let depth = 1;
+    let quote = null;
+    let end = start;
+    for (; end < css.length && depth > 0; end++) {
+      const char = css[end];
+      if (quote) {
+        if (char === "\\") end++;
+        else if (char === quote) quote = null;
+      } else if (char === "\"" || char === "'") {
+        quote = char;
+      } else if (char === "(") {
+        depth++;
+      } else if (char === ")") {
+        depth--;
+      }
+    }
+    output += css.substring(last, start) + css.substring(start, end).replace(/(["'])(.*?)\1/g, replacer);
+    last = end;
+    pattern.lastIndex = end;
+  }
+  return output + css.substring(last);
+}
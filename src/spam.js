@@ -0,0 +1,251 @@
+/**
+ * 垃圾邮件评分
+ * 入库时按头部和内容特征打分，并结合用户标记训练的朴素贝叶斯模型；
+ * 超过阈值的邮件放入隔离区，默认不在收件箱中显示
+ */
+
+import { CONFIG } from "./utils.js";
+
+// 各项特征的分值
+const WEIGHTS = {
+  missing_message_id: 1.5,
+  spf_fail: 1.5,
+  spf_softfail: 0.5,
+  dkim_fail: 1.5,
+  dmarc_fail: 2.5,
+  from_mismatch: 1.5,
+  spam_phrase: 1,
+  many_links: 1.5,
+};
+
+// 常见垃圾邮件用语，每命中一个加一次分，最多计 SPAM_PHRASE_MAX 次
+const SPAM_PHRASES = [
+  /\bact now\b/i, /\blimited time offer\b/i, /\bcongratulations,? you('ve| have) won\b/i, /\byou('ve| have) been selected\b/i,
+  /\bclaim your (prize|reward)\b/i, /\b100% free\b/i, /\bno credit check\b/i, /\brisk[- ]free\b/i,
+  /\bwire transfer\b/i, /\bbitcoin investment\b/i, /\bdouble your (money|income)\b/i, /\bwork from home\b/i,
+  /\bcheap (viagra|cialis|meds)\b/i, /\bunclaimed (funds|inheritance)\b/i, /\bverify your account (now|immediately)\b/i,
+  /中奖/, /免费领取/, /恭喜您?获得/, /日赚/, /兼职刷单/, /贷款无抵押/, /点击领取/,
+];
+const SPAM_PHRASE_MAX = 3;
+
+// 贝叶斯部分：每类至少训练这么多封邮件才启用，分值范围为 ±SPAM_BAYES_WEIGHT
+const BAYES_MIN_TRAINING = 5;
+const BAYES_INTERESTING_TOKENS = 15;
+
+// 每封邮件最多参与计算的词数，及参与分词的正文长度
+const MAX_TOKENS = 200;
+const MAX_TEXT_LENGTH = 20000;
+
+// 单条查询的词数（受 D1 单条语句 100 个参数的限制）
+const TOKEN_CHUNK_SIZE = 50;
+
+/**
+ * 隔离阈值，可通过环境变量 SPAM_THRESHOLD 调整，设为 off 时不隔离
+ * @returns {number} 不隔离时返回 Infinity
+ */
+export function getSpamThreshold(env) {
+  const value = env.SPAM_THRESHOLD;
+  if (value === "off") {
+    return Infinity;
+  }
+  const threshold = Number(value);
+  return value && Number.isFinite(threshold) ? threshold : CONFIG.SPAM_THRESHOLD;
+}
+
+/**
+ * 为邮件打分
+ * @param {Object} message { envelopeFrom, fromAddress, headers, auth, subject, text, html }
+ * @returns {Object} { score, reasons }，reasons 为命中的特征名
+ */
+export async function scoreMessage(env, { envelopeFrom, fromAddress, headers, auth, subject, text, html }) {
+  const reasons = [];
+  let score = 0;
+  const hit = (reason, times = 1) => {
+    reasons.push(reason);
+    score += WEIGHTS[reason] * times;
+  };
+
+  if (!headers["message-id"]) {
+    hit("missing_message_id");
+  }
+
+  if (auth.spf === "fail") hit("spf_fail");
+  if (auth.spf === "softfail") hit("spf_softfail");
+  if (auth.dkim === "fail") hit("dkim_fail");
+  if (auth.dmarc === "fail") hit("dmarc_fail");
+
+  // 信封发件人与 From 头部的域名无关（互不为子域名），且没有通过 DMARC 对齐；退信等空信封发件人不检查
+  const envelopeDomain = domainOf(envelopeFrom);
+  const fromDomain = domainOf(fromAddress);
+  if (envelopeDomain && fromDomain && auth.dmarc !== "pass" && !relatedDomains(envelopeDomain, fromDomain)) {
+    hit("from_mismatch");
+  }
+
+  const content = `${subject || ""}\n${text || ""}`;
+  const phrases = SPAM_PHRASES.filter(pattern => pattern.test(content)).length;
+  if (phrases > 0) {
+    hit("spam_phrase", Math.min(phrases, SPAM_PHRASE_MAX));
+  }
+
+  if (countLinks(text, html) > CONFIG.SPAM_MAX_LINKS) {
+    hit("many_links");
+  }
+
+  // 贝叶斯概率映射到 ±SPAM_BAYES_WEIGHT，明显偏向正常邮件时可以抵消部分特征分
+  const probability = await bayesProbability(env, tokenize(subject, text));
+  if (probability !== null) {
+    score += (probability - 0.5) * 2 * CONFIG.SPAM_BAYES_WEIGHT;
+    if (probability >= 0.9) {
+      reasons.push("bayes");
+    }
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * 按管理员的判定训练模型（用户标记只移动邮件，避免匿名用户污染共享的模型）
+ * 同一封邮件改判定时先撤销之前的计数，重复训练不会重复计数
+ * @param {Object} email 邮件记录，需包含 subject、text_content 和 spam_trained
+ * @param {string} verdict spam 或 ham
+ * @returns {Array} 待执行的 D1 语句，调用方与更新邮件的语句一起批量执行
+ */
+export function buildTrainingStatements(env, email, verdict) {
+  const previous = email.spam_trained;
+  if (previous === verdict) {
+    return [];
+  }
+
+  const delta = { spam: 0, ham: 0 };
+  delta[verdict] += 1;
+  if (previous === "spam" || previous === "ham") {
+    delta[previous] -= 1;
+  }
+
+  const statements = tokenize(email.subject, email.text_content).map(token => env.DB.prepare(`
+    INSERT INTO spam_tokens (token, spam_count, ham_count) VALUES (?, MAX(0, ?), MAX(0, ?))
+    ON CONFLICT(token) DO UPDATE SET spam_count = MAX(0, spam_count + ?), ham_count = MAX(0, ham_count + ?)
+  `).bind(token, delta.spam, delta.ham, delta.spam, delta.ham));
+
+  for (const [name, value] of Object.entries(delta)) {
+    if (value !== 0) {
+      statements.push(env.DB.prepare(`
+        UPDATE spam_totals SET message_count = MAX(0, message_count + ?) WHERE class = ?
+      `).bind(value, name));
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * 模型统计
+ */
+export async function getSpamModelStats(env) {
+  const [totals, tokens] = await env.DB.batch([
+    env.DB.prepare(`SELECT class, message_count FROM spam_totals`),
+    env.DB.prepare(`SELECT COUNT(*) AS count FROM spam_tokens`),
+  ]);
+  const counts = Object.fromEntries((totals.results || []).map(row => [row.class, row.message_count]));
+  return {
+    spamMessages: counts.spam || 0,
+    hamMessages: counts.ham || 0,
+    tokens: tokens.results?.[0]?.count || 0,
+    active: (counts.spam || 0) >= BAYES_MIN_TRAINING && (counts.ham || 0) >= BAYES_MIN_TRAINING,
+  };
+}
+
+/**
+ * 计算邮件为垃圾邮件的概率（Robinson 方法，只取最有区分度的词）
+ * @returns {number|null} 训练数据不足时返回 null
+ */
+async function bayesProbability(env, tokens) {
+  const totals = await env.DB.prepare(`
+    SELECT class, message_count FROM spam_totals
+  `).all();
+  const counts = Object.fromEntries((totals.results || []).map(row => [row.class, row.message_count]));
+  const spamTotal = counts.spam || 0;
+  const hamTotal = counts.ham || 0;
+  if (spamTotal < BAYES_MIN_TRAINING || hamTotal < BAYES_MIN_TRAINING || tokens.length === 0) {
+    return null;
+  }
+
+  const statements = [];
+  for (let i = 0; i < tokens.length; i += TOKEN_CHUNK_SIZE) {
+    const chunk = tokens.slice(i, i + TOKEN_CHUNK_SIZE);
+    statements.push(env.DB.prepare(`
+      SELECT spam_count, ham_count FROM spam_tokens WHERE token IN (${chunk.map(() => "?").join(", ")})
+    `).bind(...chunk));
+  }
+  const results = await env.DB.batch(statements);
+
+  const probabilities = [];
+  for (const result of results) {
+    for (const row of result.results || []) {
+      const seen = row.spam_count + row.ham_count;
+      if (seen === 0) continue;
+      const spamRate = row.spam_count / spamTotal;
+      const hamRate = row.ham_count / hamTotal;
+      // 出现次数少的词向 0.5 收缩
+      const p = (0.5 + seen * (spamRate / (spamRate + hamRate))) / (1 + seen);
+      probabilities.push(Math.min(0.99, Math.max(0.01, p)));
+    }
+  }
+  if (probabilities.length === 0) {
+    return null;
+  }
+
+  const interesting = probabilities
+    .sort((a, b) => Math.abs(b - 0.5) - Math.abs(a - 0.5))
+    .slice(0, BAYES_INTERESTING_TOKENS);
+  const spamLog = interesting.reduce((sum, p) => sum + Math.log(p), 0);
+  const hamLog = interesting.reduce((sum, p) => sum + Math.log(1 - p), 0);
+  return 1 / (1 + Math.exp(hamLog - spamLog));
+}
+
+/**
+ * 分词：拉丁文字按单词（3-20 个字符），中日韩文字按相邻两字
+ * @returns {Array<string>} 去重后的词
+ */
+function tokenize(subject, text) {
+  const content = `${subject || ""} ${(text || "").substring(0, MAX_TEXT_LENGTH)}`.toLowerCase();
+  const tokens = new Set();
+
+  for (const [word] of content.matchAll(/[\p{L}\p{N}$]+/gu)) {
+    if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(word)) {
+      const chars = [...word];
+      for (let i = 0; i + 1 < chars.length; i++) {
+        tokens.add(chars[i] + chars[i + 1]);
+      }
+    } else if (word.length >= 3 && word.length <= 20) {
+      tokens.add(word);
+    }
+    if (tokens.size >= MAX_TOKENS) break;
+  }
+
+  return [...tokens].slice(0, MAX_TOKENS);
+}
+
+/**
+ * 统计纯文本和 HTML 中不重复的链接数
+ */
+function countLinks(text, html) {
+  const urls = new Set();
+  for (const source of [text, html]) {
+    for (const [url] of (source || "").matchAll(/https?:\/\/[^\s<>"')\]]+/gi)) {
+      urls.add(url);
+    }
+  }
+  return urls.size;
+}
+
+function domainOf(address) {
+  if (!address || !address.includes("@")) {
+    return null;
+  }
+  return address.substring(address.lastIndexOf("@") + 1).toLowerCase();
+}
+
+function relatedDomains(a, b) {
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
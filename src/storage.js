@@ -0,0 +1,146 @@
+/**
+ * 邮件原文与附件内容存储
+ * 配置 R2 绑定（MAIL_BUCKET）时内容写入对象存储，D1 只保存元数据；未配置时仍直接存放在 D1 中
+ */
+
+// R2 单次批量删除的最大对象数
+const DELETE_BATCH_SIZE = 1000;
+
+// 按邮件 ID 查询对象键时每批的 ID 数
+const QUERY_CHUNK_SIZE = 50;
+
+/**
+ * 是否启用了对象存储
+ */
+export function hasObjectStorage(env) {
+  return !!env.MAIL_BUCKET;
+}
+
+/**
+ * 保存邮件原文
+ * @returns {string|null} 对象键，未启用对象存储时返回 null
+ */
+export async function putRawEmail(env, emailId, rawBytes) {
+  if (!hasObjectStorage(env)) {
+    return null;
+  }
+
+  const key = `emails/${emailId}/raw.eml`;
+  await env.MAIL_BUCKET.put(key, rawBytes, {
+    httpMetadata: { contentType: "message/rfc822" },
+  });
+  return key;
+}
+
+/**
+ * 保存附件内容
+ * @returns {string|null} 对象键，未启用对象存储时返回 null
+ */
+export async function putAttachment(env, emailId, attachmentId, attachment) {
+  if (!hasObjectStorage(env)) {
+    return null;
+  }
+
+  const key = `emails/${emailId}/attachments/${attachmentId}`;
+  await env.MAIL_BUCKET.put(key, attachment.content, {
+    httpMetadata: { contentType: attachment.contentType || "application/octet-stream" },
+  });
+  return key;
+}
+
+/**
+ * 读取邮件原文
+ * @param {Object} email 邮件记录（需包含 raw_key 和 raw_email）
+ * @returns {ReadableStream|Uint8Array|null} 原文不存在时返回 null
+ */
+export async function getRawEmail(env, email) {
+  if (email.raw_key) {
+    if (!hasObjectStorage(env)) {
+      return null;
+    }
+    const object = await env.MAIL_BUCKET.get(email.raw_key);
+    return object ? object.body : null;
+  }
+
+  if (email.raw_email == null) {
+    return null;
+  }
+  // 早期的邮件以文本保存，之后以 BLOB 保存（D1 返回数字数组）
+  return typeof email.raw_email === "string"
+    ? new TextEncoder().encode(email.raw_email)
+    : new Uint8Array(email.raw_email);
+}
+
+/**
+ * 读取附件内容
+ * @param {Object} attachment 附件记录（需包含 object_key 和 content）
+ * @param {Object|null} range 字节范围 { offset, length }
+ * @returns {ReadableStream|Uint8Array|null} 内容不存在时返回 null
+ */
+export async function readAttachment(env, attachment, range = null) {
+  if (attachment.object_key) {
+    if (!hasObjectStorage(env)) {
+      return null;
+    }
+    const object = await env.MAIL_BUCKET.get(attachment.object_key, range ? { range } : undefined);
+    return object ? object.body : null;
+  }
+
+  if (attachment.content == null) {
+    return null;
+  }
+
+  // D1 以数字数组形式返回 BLOB，需转换为字节
+  const bytes = new Uint8Array(attachment.content);
+  return range ? bytes.subarray(range.offset, range.offset + range.length) : bytes;
+}
+
+/**
+ * 读取附件的全部字节
+ */
+export async function readAttachmentBytes(env, attachment) {
+  const body = await readAttachment(env, attachment);
+  if (body === null || body instanceof Uint8Array) {
+    return body;
+  }
+  return new Uint8Array(await new Response(body).arrayBuffer());
+}
+
+/**
+ * 批量删除对象，失败时只记录日志（对象可由 R2 生命周期规则兜底清理）
+ */
+export async function deleteObjects(env, keys) {
+  const validKeys = keys.filter(Boolean);
+  if (!hasObjectStorage(env) || validKeys.length === 0) {
+    return 0;
+  }
+
+  try {
+    for (let i = 0; i < validKeys.length; i += DELETE_BATCH_SIZE) {
+      await env.MAIL_BUCKET.delete(validKeys.slice(i, i + DELETE_BATCH_SIZE));
+    }
+    return validKeys.length;
+  } catch (error) {
+    console.error("Error deleting objects:", error);
+    return 0;
+  }
+}
+
+/**
+ * 查询邮件在对象存储中的原文和附件键
+ */
+export async function collectObjectKeys(env, emailIds) {
+  const keys = [];
+  // 每条语句使用两组 ID 参数，按 D1 的参数上限分批
+  for (let i = 0; i < emailIds.length; i += QUERY_CHUNK_SIZE) {
+    const chunk = emailIds.slice(i, i + QUERY_CHUNK_SIZE);
+    const placeholders = chunk.map(() => "?").join(", ");
+    const result = await env.DB.prepare(`
+      SELECT raw_key AS key FROM emails WHERE id IN (${placeholders}) AND raw_key IS NOT NULL
+      UNION ALL
+      SELECT object_key AS key FROM attachments WHERE email_id IN (${placeholders}) AND object_key IS NOT NULL
+    `).bind(...chunk, ...chunk).all();
+    keys.push(...(result.results || []).map(row => row.key));
+  }
+  return keys;
+}
@@ -10,28 +10,125 @@ export const CONFIG = {
   INBOX_LIMIT: 50,
   // 预览文本最大长度
   PREVIEW_MAX_LENGTH: 150,
-  // 邮件过期时间（毫秒）- 24小时
+  // 邮箱默认有效期（毫秒）- 24小时，到期后邮箱停止收信，邮件被清理
   EMAIL_EXPIRE_MS: 24 * 60 * 60 * 1000,
-  // 地址记录过期时间（毫秒）- 7天
+  // 邮箱有效期下限（毫秒）- 10分钟，可通过环境变量 ADDRESS_TTL_MIN（秒）调整
+  ADDRESS_TTL_MIN_MS: 10 * 60 * 1000,
+  // 邮箱有效期上限（毫秒）- 7天，可通过环境变量 ADDRESS_TTL_MAX（秒）调整
+  ADDRESS_TTL_MAX_MS: 7 * 24 * 60 * 60 * 1000,
+  // 地址记录在邮箱过期后的保留时间（毫秒）- 7天，期间该地址不会被重新分配
   ADDRESS_EXPIRE_MS: 7 * 24 * 60 * 60 * 1000,
-  // 速率限制 - 时间窗口（毫秒）- 1分钟
+  // 搜索 - 最多搜索词数
+  SEARCH_MAX_TERMS: 10,
+  // 标签 - 每封邮件最多标签数及单个标签最大长度
+  LABEL_MAX_PER_MESSAGE: 10,
+  LABEL_MAX_LENGTH: 32,
+  // 批量操作 - 按 ID 操作时每次最多的邮件数量（受 D1 单条语句 100 个参数的限制）
+  BULK_MAX_IDS: 50,
+  // 批量操作 - 按筛选条件操作时每次最多处理的邮件数量，剩余的需再次调用
+  BULK_FILTER_LIMIT: 500,
+  // 清理任务 - 每批删除的邮件数量（受 D1 单条语句 100 个参数的限制）及单次运行的最大批数
+  CLEANUP_BATCH_SIZE: 100,
+  CLEANUP_MAX_BATCHES: 20,
+  // 实时推送 - 单次连接最长保持时间（毫秒），到期后客户端凭 Last-Event-ID 重连
+  STREAM_DURATION_MS: 25 * 1000,
+  // 实时推送 - 服务端检查新邮件的间隔（毫秒）
+  STREAM_POLL_MS: 2000,
+  // 实时推送 - 建议客户端重连等待时间（毫秒）
+  STREAM_RETRY_MS: 1000,
+  // 等待邮件 - 默认及最长等待时间（秒）
+  WAIT_DEFAULT_TIMEOUT_S: 30,
+  WAIT_MAX_TIMEOUT_S: 120,
+  // 等待邮件 - 服务端检查新邮件的间隔（毫秒）
+  WAIT_POLL_MS: 1000,
+  // 管理接口 - 每页最大数量及统计中显示的发件人数量
+  ADMIN_PAGE_LIMIT: 100,
+  ADMIN_TOP_SENDERS: 10,
+  // 域名 - 每个 Worker 实例缓存域名表的时间（毫秒）
+  DOMAIN_CACHE_MS: 30 * 1000,
+  // 收信规则 - 最大规则数
+  INGEST_RULES_MAX: 500,
+  // 收件路由 - 最大路由数
+  ROUTE_RULES_MAX: 200,
+  // 垃圾邮件 - 隔离阈值，可通过环境变量 SPAM_THRESHOLD 调整（off 为不隔离）
+  SPAM_THRESHOLD: 5,
+  // 垃圾邮件 - 超过该数量的不重复链接视为可疑
+  SPAM_MAX_LINKS: 20,
+  // 垃圾邮件 - 贝叶斯模型的最大分值（正负）
+  SPAM_BAYES_WEIGHT: 6,
+  // 邮件转发 - 每个邮箱最多转发目标数
+  FORWARD_MAX_PER_ADDRESS: 3,
+  // 邮件转发 - 验证码有效期（毫秒）- 15分钟，及重新发送的最短间隔（毫秒）
+  FORWARD_CODE_TTL_MS: 15 * 60 * 1000,
+  FORWARD_CODE_RESEND_MS: 60 * 1000,
+  // 邮件转发 - 每条规则最多发送验证码次数，及所有验证码累计最多尝试次数，用完后规则锁定
+  FORWARD_VERIFY_MAX_SENDS: 5,
+  FORWARD_VERIFY_MAX_ATTEMPTS: 10,
+  // 发信 - 每个邮箱 24 小时内最多发送的邮件数，及正文和主题的最大长度
+  SEND_MAX_PER_DAY: 20,
+  SEND_MAX_TEXT_LENGTH: 20000,
+  SEND_MAX_SUBJECT_LENGTH: 200,
+  // 发信 - HTTP / SMTP 发信超时（毫秒）
+  SEND_TIMEOUT_MS: 15 * 1000,
+  // 账户 - 每个账户最多有效邮箱数及 API 密钥数
+  ACCOUNT_MAX_ADDRESSES: 1000,
+  ACCOUNT_MAX_KEYS: 10,
+  // 账户 - 邮箱列表每页最大数量
+  ACCOUNT_PAGE_LIMIT: 100,
+  // 内联图片 - 不超过该大小（字节）时直接以 data URI 嵌入 HTML
+  INLINE_DATA_URI_MAX_BYTES: 32 * 1024,
+  // 附件签名地址有效期（毫秒）- 1小时
+  ATTACHMENT_URL_TTL_MS: 60 * 60 * 1000,
+  // Webhook - 每个邮箱最多注册数量
+  WEBHOOK_MAX_PER_ADDRESS: 5,
+  // Webhook - 单次请求超时（毫秒）
+  WEBHOOK_TIMEOUT_MS: 10 * 1000,
+  // Webhook - 失败后的重试间隔（毫秒），用尽后标记为失败
+  WEBHOOK_RETRY_DELAYS_MS: [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000],
+  // Webhook - 每次定时任务最多重试的推送数
+  WEBHOOK_RETRY_BATCH: 50,
+  // Webhook - 重试任务的 cron 表达式（需与 wrangler.toml 中一致）
+  WEBHOOK_RETRY_CRON: "*/5 * * * *",
+  // 速率限制 - 滑动窗口长度（毫秒）- 1分钟
   RATE_LIMIT_WINDOW_MS: 60 * 1000,
-  // 速率限制 - 每个时间窗口最大请求数
+  // 速率限制 - 各层级的上限倍数：匿名请求按 IP 计数；携带 API 密钥的请求按账户计数（可按账户单独设置）；
+  // 访问邮箱的请求通过校验后另按邮箱地址计数，避免同一邮箱的请求分散到多个 IP 绕过限制
+  RATE_LIMIT_TIERS: { ip: 1, account: 10, address: 3 },
+  // 速率限制 - 每个窗口最大请求数（乘以层级倍数），未列出的 /api/* 端点使用 default
   RATE_LIMIT_MAX_REQUESTS: {
+    "/api/domains": 120,      // 每分钟最多查询 120 次域名列表
     "/api/generate": 10,      // 每分钟最多生成 10 个邮箱
+    "/api/claim": 10,         // 每分钟最多认领 10 个邮箱
+    "/api/address": 10,       // 每分钟最多销毁 10 个邮箱
+    "/api/address/extend": 10, // 每分钟最多续期 10 次
     "/api/inbox": 60,         // 每分钟最多查询 60 次收件箱
+    "/api/inbox/stream": 20,  // 每分钟最多建立 20 次推送连接
     "/api/message": 60,       // 每分钟最多查看 60 封邮件
+    "/api/message/flags": 60, // 每分钟最多修改 60 次已读/星标
+    "/api/message/labels": 60, // 每分钟最多修改 60 次标签
+    "/api/message/release": 30, // 每分钟最多从隔离区移出 30 封邮件
+    "/api/message/report": 30, // 每分钟最多标记 30 次垃圾/正常邮件
+    "/api/raw": 30,           // 每分钟最多下载 30 封原始邮件
+    "/api/latest-code": 60,   // 每分钟最多查询 60 次最新验证码
+    "/api/wait": 30,          // 每分钟最多发起 30 次等待（等待期间的检查不计数）
     "/api/delete": 30,        // 每分钟最多删除 30 封邮件
+    "/api/messages/delete": 30, // 每分钟最多 30 次批量删除
+    "/api/messages/mark": 60, // 每分钟最多 60 次批量标记
+    "/api/webhooks": 30,      // 每分钟最多管理 30 次 webhook
+    "/api/webhooks/deliveries": 60, // 每分钟最多查询 60 次推送记录
+    "/api/forwarding": 10,    // 每分钟最多 10 次管理转发规则（含发送验证码）
+    "/api/forwarding/verify": 10, // 每分钟最多提交 10 次验证码
+    "/api/forwarding/logs": 30, // 每分钟最多查询 30 次转发记录
+    "/api/send": 10,          // 每个 IP 每分钟最多发信 10 次
+    "/api/send/address": 2,   // 每个邮箱每分钟最多发信 2 次（按邮箱地址计数，不乘倍数）
+    "/api/account": 60,       // 每分钟最多查询 60 次账户信息
+    "/api/account/addresses": 60, // 每分钟最多查询或添加 60 次账户邮箱
+    "/api/attachment": 120,   // 每分钟最多下载 120 个附件（含内联图片）
+    "/api/admin": 120,        // 管理接口每分钟最多 120 次（所有 /api/admin/* 合计）
     "default": 100,           // 默认每分钟 100 次
   },
 };
 
-// 支持的域名列表（从环境变量读取）
-export function getDomains(env) {
-  const domainsStr = env.DOMAINS || "2art.fun,sumeetsxiang.com,wadao.world,wearwave.live";
-  return domainsStr.split(",").map(d => d.trim().toLowerCase()).filter(Boolean);
-}
-
 // 生成唯一 ID
 export function generateId() {
   const timestamp = Date.now().toString(36);
@@ -51,14 +148,6 @@ export function generatePrefix(length = 10) {
   return result;
 }
 
-// 检查是否为允许的域名
-export function isAllowedDomain(address, env) {
-  if (!address) return false;
-  const domains = getDomains(env);
-  const lower = address.toLowerCase();
-  return domains.some(domain => lower.endsWith(`@${domain}`));
-}
-
 // JSON 响应
 export function jsonResponse(data, status = 200) {
   return new Response(JSON.stringify(data), {
@@ -67,7 +156,7 @@ export function jsonResponse(data, status = 200) {
       "Content-Type": "application/json",
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Address-Token, Last-Event-ID",
     },
   });
 }
@@ -79,17 +168,125 @@ export function corsResponse() {
     headers: {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Address-Token, Last-Event-ID",
     },
   });
 }
 
+// 解析存储为 JSON 的数组列，格式错误时返回空数组
+export function parseJsonArray(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// 字节转 Base64
+export function bytesToBase64(bytes) {
+  let binary = "";
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+// 读取 JSON 请求体，格式错误时返回 null
+export async function readJson(request) {
+  try {
+    const data = await request.json();
+    return data && typeof data === "object" && !Array.isArray(data) ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// 解析邮件游标，格式为 "<created_at>,<id>"
+export function parseCursor(value) {
+  if (!value) return null;
+  const separator = value.indexOf(",");
+  if (separator <= 0) return null;
+  const createdAt = Number(value.substring(0, separator));
+  if (!Number.isFinite(createdAt)) return null;
+  return { createdAt, id: value.substring(separator + 1) };
+}
+
+// 生成邮件游标
+export function formatCursor(createdAt, id) {
+  return `${createdAt},${id}`;
+}
+
+// 邮箱有效期范围（毫秒），环境变量 ADDRESS_TTL_MIN / ADDRESS_TTL_MAX / ADDRESS_TTL_DEFAULT 以秒为单位
+// 传入域名记录时优先使用该域名的默认有效期
+export function getTtlBounds(env, domain = null) {
+  const toMs = (value, fallback) => {
+    const seconds = parseInt(value, 10);
+    return seconds > 0 ? seconds * 1000 : fallback;
+  };
+  const min = toMs(env.ADDRESS_TTL_MIN, CONFIG.ADDRESS_TTL_MIN_MS);
+  const max = Math.max(min, toMs(env.ADDRESS_TTL_MAX, CONFIG.ADDRESS_TTL_MAX_MS));
+  const defaultTtl = Math.min(max, Math.max(min, domain?.default_ttl || toMs(env.ADDRESS_TTL_DEFAULT, CONFIG.EMAIL_EXPIRE_MS)));
+  return { min, max, default: defaultTtl };
+}
+
+// 解析 ttl 参数（秒），未提供时使用默认值，格式错误或超出范围时返回 null
+export function parseTtl(value, env, domain = null) {
+  const bounds = getTtlBounds(env, domain);
+  if (value === null || value === undefined || value === "") {
+    return bounds.default;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    return null;
+  }
+  const ttl = Number(value) * 1000;
+  return ttl >= bounds.min && ttl <= bounds.max ? ttl : null;
+}
+
+// 有效期超出范围时的错误响应
+export function invalidTtlResponse(env) {
+  const bounds = getTtlBounds(env);
+  return jsonResponse({
+    success: false,
+    error: `有效期需在 ${bounds.min / 1000} 到 ${bounds.max / 1000} 秒之间`,
+  }, 400);
+}
+
+// 解析 Range 请求头（仅支持单个范围），返回 { offset, length }
+// 未提供或无法解析时返回 null，范围无法满足时返回 false
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // bytes=-N 表示最后 N 个字节
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return false;
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) {
+    return false;
+  }
+  return { offset: start, length: end - start + 1 };
+}
+
 // 解析邮件地址
 export function parseEmailAddress(address) {
   if (!address) return { name: "", email: "" };
   
   // 格式: "Name" <email@domain.com> 或 email@domain.com
-  const match = address.match(/^(?:"?([^"<]*)"?\s*)?<?([^>]+)>?$/);
+  const match = address.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
   if (match) {
     return {
       name: (match[1] || "").trim(),
@@ -132,66 +329,3 @@ export function getClientIP(request) {
          request.headers.get("X-Forwarded-For")?.split(",")[0]?.trim() ||
          "unknown";
 }
-
-/**
- * 检查速率限制
- * @returns {Object} { allowed: boolean, remaining: number, resetAt: number }
- */
-export async function checkRateLimit(env, ip, endpoint) {
-  const now = Date.now();
-  const windowStart = Math.floor(now / CONFIG.RATE_LIMIT_WINDOW_MS) * CONFIG.RATE_LIMIT_WINDOW_MS;
-  const maxRequests = CONFIG.RATE_LIMIT_MAX_REQUESTS[endpoint] || CONFIG.RATE_LIMIT_MAX_REQUESTS.default;
-  
-  try {
-    // 查询当前窗口的请求数
-    const result = await env.DB.prepare(`
-      SELECT request_count FROM rate_limits 
-      WHERE ip = ? AND endpoint = ? AND window_start = ?
-    `).bind(ip, endpoint, windowStart).first();
-    
-    const currentCount = result?.request_count || 0;
-    
-    if (currentCount >= maxRequests) {
-      return {
-        allowed: false,
-        remaining: 0,
-        resetAt: windowStart + CONFIG.RATE_LIMIT_WINDOW_MS,
-      };
-    }
-    
-    // 增加计数（使用 UPSERT）
-    await env.DB.prepare(`
-      INSERT INTO rate_limits (ip, endpoint, window_start, request_count)
-      VALUES (?, ?, ?, 1)
-      ON CONFLICT (ip, endpoint, window_start) 
-      DO UPDATE SET request_count = request_count + 1
-    `).bind(ip, endpoint, windowStart).run();
-    
-    return {
-      allowed: true,
-      remaining: maxRequests - currentCount - 1,
-      resetAt: windowStart + CONFIG.RATE_LIMIT_WINDOW_MS,
-    };
-  } catch (error) {
-    // 如果速率限制检查失败，允许请求继续（优雅降级）
-    console.error("Rate limit check failed:", error);
-    return { allowed: true, remaining: -1, resetAt: 0 };
-  }
-}
-
-// 速率限制响应
-export function rateLimitResponse(resetAt) {
-  const retryAfter = Math.ceil((resetAt - Date.now()) / 1000);
-  return new Response(JSON.stringify({ 
-    success: false, 
-    error: "请求过于频繁，请稍后再试",
-    retryAfter: retryAfter > 0 ? retryAfter : 60,
-  }), {
-    status: 429,
-    headers: {
-      "Content-Type": "application/json",
-      "Retry-After": String(retryAfter > 0 ? retryAfter : 60),
-      "Access-Control-Allow-Origin": "*",
-    },
-  });
-}
@@ -0,0 +1,149 @@
+/**
+ * Webhook 推送
+ * 新邮件入库后向该邮箱注册的 URL 发送签名的 JSON，失败时按退避策略重试
+ */
+
+import { CONFIG, generateId, extractPreview } from "./utils.js";
+import { hmacHex } from "./auth.js";
+
+/**
+ * 计算签名：HMAC-SHA256(secret, "<timestamp>.<body>")，十六进制
+ */
+export function signPayload(secret, timestamp, body) {
+  return hmacHex(secret, `${timestamp}.${body}`);
+}
+
+/**
+ * 为新邮件创建推送记录
+ * @returns {Array} 待发送的推送（含 URL 和密钥）
+ */
+export async function queueWebhookDeliveries(env, email) {
+  const hooksResult = await env.DB.prepare(`
+    SELECT id, url, secret FROM webhooks WHERE address = ?
+  `).bind(email.address).all();
+
+  const hooks = hooksResult.results || [];
+  if (hooks.length === 0) {
+    return [];
+  }
+
+  const payload = JSON.stringify({
+    event: "email.received",
+    address: email.address,
+    message: {
+      id: email.id,
+      from: email.fromName ? `${email.fromName} <${email.fromAddress}>` : email.fromAddress,
+      subject: email.subject,
+      tag: email.plusTag || null,
+      preview: extractPreview(email.textContent, CONFIG.PREVIEW_MAX_LENGTH),
+      codes: email.codes,
+      links: email.links,
+      date: new Date(email.createdAt).toISOString(),
+    },
+  });
+
+  const now = Date.now();
+  const deliveries = hooks.map(hook => ({
+    id: generateId(),
+    url: hook.url,
+    secret: hook.secret,
+    payload,
+    attempts: 0,
+  }));
+
+  // 首次发送由调用方在后台进行，到期时间推迟一个重试间隔，避免定时任务在首次发送完成前重复发送；
+  // 首次发送没有完成（例如 Worker 被终止）时仍会由定时任务补发
+  const nextAttemptAt = now + CONFIG.WEBHOOK_RETRY_DELAYS_MS[0];
+  await env.DB.batch(deliveries.map((delivery, i) => env.DB.prepare(`
+    INSERT INTO webhook_deliveries (id, webhook_id, email_id, payload, status, attempts, next_attempt_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+  `).bind(delivery.id, hooks[i].id, email.id, payload, nextAttemptAt, now, now)));
+
+  return deliveries;
+}
+
+/**
+ * 依次发送推送
+ */
+export async function deliverWebhooks(env, deliveries) {
+  let succeeded = 0;
+  for (const delivery of deliveries) {
+    if (await attemptDelivery(env, delivery)) {
+      succeeded++;
+    }
+  }
+  return { attempted: deliveries.length, succeeded };
+}
+
+/**
+ * 重试到期的推送（由定时任务调用）
+ */
+export async function retryPendingWebhooks(env) {
+  const result = await env.DB.prepare(`
+    SELECT d.id, d.payload, d.attempts, w.url, w.secret
+    FROM webhook_deliveries d
+    INNER JOIN webhooks w ON d.webhook_id = w.id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+    ORDER BY d.next_attempt_at ASC
+    LIMIT ${CONFIG.WEBHOOK_RETRY_BATCH}
+  `).bind(Date.now()).all();
+
+  return deliverWebhooks(env, result.results || []);
+}
+
+/**
+ * 发送一次推送并记录结果
+ * @returns {boolean} 是否送达
+ */
+async function attemptDelivery(env, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = await signPayload(delivery.secret, timestamp, delivery.payload);
+
+  let responseStatus = null;
+  let lastError = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "temp-mail-webhook",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signature}`,
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(CONFIG.WEBHOOK_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      lastError = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    lastError = error.message || String(error);
+  }
+
+  const now = Date.now();
+  const attempts = delivery.attempts + 1;
+  const delivered = lastError === null;
+  const retryDelay = CONFIG.WEBHOOK_RETRY_DELAYS_MS[attempts - 1];
+
+  let status = "success";
+  let nextAttemptAt = null;
+  if (!delivered) {
+    status = retryDelay === undefined ? "failed" : "pending";
+    nextAttemptAt = retryDelay === undefined ? null : now + retryDelay;
+  }
+
+  await env.DB.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+    WHERE id = ?
+  `).bind(status, attempts, responseStatus, lastError, nextAttemptAt, now, delivery.id).run();
+
+  if (!delivered) {
+    console.log(`Webhook delivery ${delivery.id} failed (attempt ${attempts}): ${lastError}`);
+  }
+
+  return delivered;
+}
@@ -0,0 +1,55 @@
+/**
+ * 认证结果解析测试：只采信指定接收端（authserv-id）添加的头部
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAuthResults, summarizeAuthResults, getTrustedAuthservIds } from "../src/authres.js";
+
+const TRUSTED = getTrustedAuthservIds({});
+
+test("默认采信 mx.cloudflare.net，AUTHSERV_ID 可配置多个", () => {
+  assert.deepEqual(TRUSTED, ["mx.cloudflare.net"]);
+  assert.deepEqual(getTrustedAuthservIds({ AUTHSERV_ID: " MX.Example.net, mx2.example.net " }), ["mx.example.net", "mx2.example.net"]);
+});
+
+test("忽略发件人伪造的 Authentication-Results", () => {
+  const headers = [
+    { name: "Received", value: "from mail.attacker.example by mx.cloudflare.net" },
+    { name: "Authentication-Results", value: "mail.attacker.example; spf=pass smtp.mailfrom=bank.example; dkim=pass header.d=bank.example; dmarc=pass header.from=bank.example" },
+  ];
+  assert.equal(parseAuthResults(headers, TRUSTED), null);
+  assert.deepEqual(summarizeAuthResults(parseAuthResults(headers, TRUSTED)), { spf: null, dkim: null, dmarc: null });
+});
+
+test("采信匹配的 Authentication-Results，跳过前面不匹配的", () => {
+  const headers = [
+    { name: "Authentication-Results", value: "relay.example; spf=pass smtp.mailfrom=a.example" },
+    { name: "Authentication-Results", value: "MX.Cloudflare.net; spf=fail smtp.mailfrom=a.example; dkim=pass header.d=a.example header.s=s1; dmarc=fail (p=reject) header.from=a.example" },
+  ];
+  const verdicts = parseAuthResults(headers, TRUSTED);
+  assert.equal(verdicts.source, "Authentication-Results");
+  assert.deepEqual(summarizeAuthResults(verdicts), { spf: "fail", dkim: "pass", dmarc: "fail" });
+});
+
+test("ARC-Authentication-Results 取匹配接收端中实例号最大的", () => {
+  const headers = [
+    { name: "ARC-Authentication-Results", value: "i=2; mx.cloudflare.net; spf=softfail smtp.mailfrom=a.example; dmarc=none header.from=a.example" },
+    { name: "ARC-Authentication-Results", value: "i=1; mx.cloudflare.net; spf=pass smtp.mailfrom=a.example; dmarc=pass header.from=a.example" },
+    { name: "ARC-Authentication-Results", value: "i=9; forged.example; spf=pass smtp.mailfrom=a.example; dmarc=pass header.from=a.example" },
+  ];
+  const verdicts = parseAuthResults(headers, TRUSTED);
+  assert.equal(verdicts.source, "ARC-Authentication-Results");
+  assert.deepEqual(summarizeAuthResults(verdicts), { spf: "softfail", dkim: null, dmarc: "none" });
+});
+
+test("Received-SPF 按 receiver 或注释中的主机名匹配", () => {
+  const forged = [{ name: "Received-SPF", value: "pass (forged.example: domain of a@a.example designates 192.0.2.1 as permitted sender) receiver=forged.example; envelope-from=\"a@a.example\"" }];
+  assert.equal(parseAuthResults(forged, TRUSTED), null);
+
+  const byReceiver = [{ name: "Received-SPF", value: "fail receiver=mx.cloudflare.net; client-ip=192.0.2.1; envelope-from=\"a@a.example\"" }];
+  assert.deepEqual(parseAuthResults(byReceiver, TRUSTED).spf, { result: "fail", domain: "a.example" });
+
+  const byComment = [{ name: "Received-SPF", value: "softfail (mx.cloudflare.net: domain of transitioning a@a.example) client-ip=192.0.2.1" }];
+  assert.equal(parseAuthResults(byComment, TRUSTED).spf.result, "softfail");
+});
@@ -0,0 +1,79 @@
+/**
+ * 收信测试：邮件和附件记录在同一事务中写入，失败时不留下残缺的邮件和对象
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { register } from "node:module";
+import { createTestDatabase } from "./helpers/d1.js";
+
+// email.js 经由发信模块依赖 cloudflare:* 模块，先注册解析钩子再导入
+register("./helpers/cloudflare-loader.js", import.meta.url);
+const { handleEmail } = await import("../src/email.js");
+
+const RAW = new Uint8Array(readFileSync(new URL("./fixtures/mime/rfc2231-filenames.eml", import.meta.url)));
+
+let database;
+let env;
+const objects = new Map();
+
+before(async () => {
+  database = await createTestDatabase();
+  env = {
+    DB: database.db,
+    DOMAINS: "test.dev",
+    MAIL_BUCKET: {
+      put: async (key, value) => { objects.set(key, value); },
+      delete: async keys => { [].concat(keys).forEach(key => objects.delete(key)); },
+    },
+  };
+});
+
+after(() => database.dispose());
+
+function receive(to) {
+  const rejected = [];
+  const message = {
+    from: "hr@company.example",
+    to,
+    rawSize: RAW.length,
+    raw: new Blob([RAW]).stream(),
+    setReject: reason => rejected.push(reason),
+  };
+  return handleEmail(message, env, { waitUntil() {} }).then(() => rejected);
+}
+
+async function count(table) {
+  return (await env.DB.prepare(`SELECT COUNT(*) AS count FROM ${table}`).first()).count;
+}
+
+test("附件写入失败时不保存邮件，并删除已上传的对象", async () => {
+  await env.DB.prepare(`
+    CREATE TRIGGER fail_attachment BEFORE INSERT ON attachments
+    WHEN NEW.filename = 'résumé.csv'
+    BEGIN SELECT RAISE(ABORT, 'attachment insert failed'); END
+  `).run();
+
+  await receive("alice@test.dev");
+  assert.equal(await count("emails"), 0);
+  assert.equal(await count("attachments"), 0);
+  assert.equal(objects.size, 0);
+
+  await env.DB.prepare("DROP TRIGGER fail_attachment").run();
+});
+
+test("邮件、附件记录和对象一起保存", async () => {
+  assert.deepEqual(await receive("alice@test.dev"), []);
+
+  const email = await env.DB.prepare(`
+    SELECT id, has_attachments, raw_key FROM emails WHERE address = 'alice@test.dev'
+  `).first();
+  assert.equal(email.has_attachments, 1);
+
+  const attachments = await env.DB.prepare(`
+    SELECT filename, object_key FROM attachments WHERE email_id = ? ORDER BY filename
+  `).bind(email.id).all();
+  assert.deepEqual(attachments.results.map(row => row.filename), ["résumé.csv", "年度报告.pdf"]);
+  assert.deepEqual([...objects.keys()].sort(), [email.raw_key, ...attachments.results.map(row => row.object_key)].sort());
+});
@@ -0,0 +1,56 @@
+/**
+ * 验证码与操作链接提取测试
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractCodes, extractLinks } from "../src/extract.js";
+
+test("识别关键词附近的数字验证码，分组的验证码去掉分隔符", () => {
+  assert.deepEqual(extractCodes({ text: "Your verification code is 482913. It expires in 10 minutes." }), ["482913"]);
+  assert.deepEqual(extractCodes({ subject: "您的验证码：123-456" }), ["123456"]);
+  assert.deepEqual(extractCodes({ html: "<p>Use this <b>one-time passcode</b>:</p><h1>7731 0942</h1>" }), ["77310942"]);
+});
+
+test("识别字母数字组合的验证码", () => {
+  assert.deepEqual(extractCodes({ text: "Enter the security code X7K9Q2 to continue." }), ["X7K9Q2"]);
+  // 只有字母或只有小写的词不是验证码
+  assert.deepEqual(extractCodes({ text: "Your code: PLEASE enter it, thanks" }), []);
+});
+
+test("排除年份、时间和金额", () => {
+  assert.deepEqual(extractCodes({ text: "Code valid in 2024 until 12:30, total $4500" }), []);
+});
+
+test("没有关键词时不识别", () => {
+  assert.deepEqual(extractCodes({ text: "Order 55831 has shipped." }), []);
+});
+
+test("关键词之后、距离近的验证码排在前面", () => {
+  const codes = extractCodes({ text: "Ref 883311. Your login code is 240517." });
+  assert.equal(codes[0], "240517");
+});
+
+test("HTML 中按锚文本和 URL 识别操作链接，忽略退订等链接", () => {
+  const links = extractLinks({
+    html: '<a href="https://app.example/verify?token=abc&amp;u=1">Verify email</a>' +
+      '<a href="https://app.example/blog">Our blog</a>' +
+      '<a href="https://app.example/unsubscribe?token=x">Unsubscribe</a>',
+  });
+  assert.deepEqual(links, [{ url: "https://app.example/verify?token=abc&u=1", text: "Verify email" }]);
+});
+
+test("纯文本中以链接前的文字或上一行作为说明", () => {
+  const links = extractLinks({
+    text: "Reset your password:\nhttps://app.example/r/Zx81.\n\nConfirm here: https://app.example/confirm?id=1",
+  });
+  // 说明和 URL 都含关键词的链接排在前面
+  assert.deepEqual(links, [
+    { url: "https://app.example/confirm?id=1", text: "Confirm here:" },
+    { url: "https://app.example/r/Zx81", text: "Reset your password:" },
+  ]);
+});
+
+test("非 http 链接不会被提取", () => {
+  assert.deepEqual(extractLinks({ html: '<a href="javascript:verify()">Verify</a><a href="mailto:a@b.c">Confirm</a>' }), []);
+});
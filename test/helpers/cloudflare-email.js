@@ -0,0 +1,11 @@
+/**
+ * cloudflare:email 的测试替身
+ */
+
+export class EmailMessage {
+  constructor(from, to, raw) {
+    this.from = from;
+    this.to = to;
+    this.raw = raw;
+  }
+}
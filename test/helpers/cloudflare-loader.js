@@ -0,0 +1,15 @@
+/**
+ * 测试用的模块解析钩子：把 Workers 运行时内置的 cloudflare:* 模块指向 test/helpers 中的替身
+ */
+
+const STUBS = {
+  "cloudflare:email": "./cloudflare-email.js",
+  "cloudflare:sockets": "./cloudflare-sockets.js",
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (Object.hasOwn(STUBS, specifier)) {
+    return { url: new URL(STUBS[specifier], import.meta.url).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
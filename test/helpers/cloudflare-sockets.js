@@ -0,0 +1,16 @@
+/**
+ * cloudflare:sockets 的测试替身，连接由测试通过 setConnectHandler 提供
+ */
+
+let handler = null;
+
+export function setConnectHandler(fn) {
+  handler = fn;
+}
+
+export function connect(address, options) {
+  if (!handler) {
+    throw new Error("未设置测试连接");
+  }
+  return handler(address, options);
+}
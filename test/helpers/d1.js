@@ -0,0 +1,50 @@
+/**
+ * 测试用的 D1 数据库：用 Miniflare 启动本地 D1，并按顺序执行 migrations 中的全部迁移
+ */
+
+import { readdirSync, readFileSync } from "node:fs";
+import { Miniflare } from "miniflare";
+
+const MIGRATIONS_DIR = new URL("../../migrations/", import.meta.url);
+
+/**
+ * 创建空的数据库
+ * @returns {Object} { db: D1 绑定, dispose: 关闭 Miniflare }
+ */
+export async function createTestDatabase() {
+  const mf = new Miniflare({
+    modules: true,
+    script: "export default { fetch() { return new Response(null, { status: 404 }); } };",
+    d1Databases: ["DB"],
+  });
+  const db = await mf.getD1Database("DB");
+
+  for (const file of readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith(".sql")).sort()) {
+    for (const statement of splitStatements(readFileSync(new URL(file, MIGRATIONS_DIR), "utf8"))) {
+      await db.prepare(statement).run();
+    }
+  }
+
+  return { db, dispose: () => mf.dispose() };
+}
+
+/**
+ * 拆分迁移中的语句：去掉注释行后按分号拆分，触发器的 BEGIN ... END 作为一条语句
+ */
+function splitStatements(sql) {
+  const cleaned = sql.split("\n").filter(line => !line.trim().startsWith("--")).join("\n");
+  const statements = [];
+  let buffer = "";
+  for (const part of cleaned.split(";")) {
+    buffer += part;
+    if (/\bBEGIN\b/i.test(buffer) && !/\bEND\s*$/i.test(buffer.trim())) {
+      buffer += ";";
+      continue;
+    }
+    if (buffer.trim()) {
+      statements.push(buffer.trim());
+    }
+    buffer = "";
+  }
+  return statements;
+}
@@ -0,0 +1,12 @@
+/**
+ * 在 Miniflare 中运行净化（HTMLRewriter 只在 Workers 运行时中可用）：POST { html, options }，返回净化结果
+ */
+
+import { sanitizeHtml } from "../../src/sanitize.js";
+
+export default {
+  async fetch(request) {
+    const { html, options } = await request.json();
+    return Response.json(await sanitizeHtml(html, options));
+  },
+};
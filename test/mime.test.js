@@ -0,0 +1,104 @@
+/**
+ * MIME 解析测试：用 test/fixtures/mime 中的 .eml 样本检查 parseMimeMessage 和 extractContent
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { parseMimeMessage, extractContent } from "../src/mime.js";
+
+function load(name) {
+  const bytes = new Uint8Array(readFileSync(new URL(`./fixtures/mime/${name}`, import.meta.url)));
+  const root = parseMimeMessage(bytes);
+  return { bytes, root, ...extractContent(root) };
+}
+
+test("multipart/mixed 中嵌套的 multipart/alternative", () => {
+  const { root, textContent, htmlContent, attachments } = load("nested-alternative.eml");
+
+  assert.equal(root.contentType, "multipart/mixed");
+  assert.equal(root.children.length, 2);
+  assert.equal(root.children[0].contentType, "multipart/alternative");
+  assert.equal(root.children[0].children.length, 2);
+
+  // alternative 中的两个版本分别作为纯文本和 HTML 正文，不会拼接
+  assert.equal(textContent, "Release v2.1.0 is out.\r\nSee the attached notes.\r\n");
+  assert.equal(htmlContent, "<p>Release <b>v2.1.0</b> is out.</p>\n<p>See the attached notes.</p>\r\n");
+
+  assert.equal(attachments.length, 1);
+  assert.equal(attachments[0].filename, "release-notes.pdf");
+  assert.equal(attachments[0].contentType, "application/pdf");
+  assert.equal(attachments[0].inline, false);
+  assert.ok(new TextDecoder().decode(attachments[0].content).startsWith("%PDF-1.4\n"));
+});
+
+test("message/rfc822 部分保存为 .eml 附件并解析内嵌邮件", () => {
+  const { root, textContent, htmlContent, attachments } = load("forwarded-rfc822.eml");
+
+  const forwarded = root.children[1];
+  assert.equal(forwarded.contentType, "message/rfc822");
+  assert.equal(forwarded.message.headers["subject"], "Invoice INV-2024-1015");
+  assert.equal(forwarded.message.contentType, "multipart/alternative");
+  assert.equal(forwarded.message.children.length, 2);
+
+  // 内嵌邮件的正文不混入外层正文
+  assert.equal(textContent, "Forwarding the invoice below.\r\n");
+  assert.equal(htmlContent, "");
+
+  assert.equal(attachments.length, 1);
+  assert.equal(attachments[0].filename, "Invoice INV-2024-1015.eml");
+  assert.equal(attachments[0].contentType, "message/rfc822");
+  assert.match(new TextDecoder().decode(attachments[0].content), /^Date: Mon, 14 Oct 2024/);
+});
+
+test("RFC 2047 编码的头部", () => {
+  const { root, textContent } = load("encoded-headers.eml");
+
+  // 相邻编码字合并后解码，被拆开的多字节字符保持完整
+  assert.equal(root.headers["subject"], "您的验证码通知");
+  assert.equal(root.headers["from"], "京东客服 <service@jd.example>");
+  assert.equal(root.headers["thread-topic"], "Café au lait and more");
+  assert.equal(textContent, "您的验证码是 482913。\r\n");
+});
+
+test("RFC 2231 续行参数和带字符集的文件名", () => {
+  const { attachments, textContent } = load("rfc2231-filenames.eml");
+
+  assert.equal(textContent, "Two documents attached.\r\n");
+  assert.deepEqual(attachments.map(a => a.filename), ["年度报告.pdf", "résumé.csv"]);
+  assert.equal(new TextDecoder().decode(attachments[0].content), "%PDF-1.4\n");
+  assert.equal(new TextDecoder().decode(attachments[1].content), "a,b\r\n1,2\r\n");
+});
+
+test("只用 LF 换行的邮件", () => {
+  const { bytes, root, textContent, htmlContent } = load("bare-lf.eml");
+
+  assert.ok(!bytes.includes(0x0d));
+  assert.equal(root.headers["subject"], "Nightly backup report");
+  assert.equal(root.children.length, 2);
+  assert.equal(textContent, "Backup finished: 3 files, 0 errors.\n");
+  assert.equal(htmlContent, "<p>Backup finished: 3 files, 0 errors.</p>\n");
+});
+
+test("Base64 编码的二进制附件逐字节还原", () => {
+  const { htmlContent, attachments } = load("binary-attachment.eml");
+
+  assert.match(htmlContent, /cid:snap@iot\.example/);
+  assert.equal(attachments.length, 1);
+
+  const [image] = attachments;
+  assert.equal(image.filename, "snap.png");
+  assert.equal(image.contentId, "snap@iot.example");
+  // 带 Content-ID 且未声明为 attachment，视为内联资源
+  assert.equal(image.inline, true);
+  assert.equal(image.size, 1024);
+  assert.ok(image.content.every((byte, i) => byte === i % 256));
+});
+
+test("未知字符集回退到 UTF-8，gb2312 按 GBK 解码", () => {
+  const { textContent, attachments } = load("unknown-charset.eml");
+
+  // multipart/mixed 中的多段正文依次拼接
+  assert.equal(textContent, "Größe: 10 MB — OK\r\n\n\n简体中文内容");
+  assert.equal(attachments.length, 0);
+});
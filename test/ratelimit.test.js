@@ -0,0 +1,123 @@
+/**
+ * 速率限制测试：滑动窗口计数、恢复时间、按端点共用的计数键和响应头
+ */
+
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase } from "./helpers/d1.js";
+import { checkRateLimit, enforceRateLimit, withRateLimitHeaders } from "../src/ratelimit.js";
+import { CONFIG } from "../src/utils.js";
+
+const WINDOW = CONFIG.RATE_LIMIT_WINDOW_MS;
+// 某个窗口的起点
+const W = 1000 * WINDOW;
+
+let database;
+let env;
+
+before(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db };
+});
+
+after(() => database.dispose());
+
+beforeEach(async () => {
+  await env.DB.prepare("DELETE FROM rate_limits").run();
+  mock.timers.enable({ apis: ["Date"], now: W });
+});
+
+afterEach(() => mock.timers.reset());
+
+async function hit(times, subject = "1.2.3.4", endpoint = "/api/test", max = 10) {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await checkRateLimit(env, subject, endpoint, max));
+  }
+  return results;
+}
+
+test("同一窗口内达到上限后拒绝，被拒绝的请求不计数", async () => {
+  mock.timers.setTime(W + 1000);
+  const results = await hit(12);
+  assert.deepEqual(results.map(r => r.allowed), [...Array(10).fill(true), false, false]);
+  assert.deepEqual(results.slice(0, 3).map(r => r.remaining), [9, 8, 7]);
+  assert.equal(results[10].remaining, 0);
+  assert.equal(results[10].failed, false);
+
+  const row = await env.DB.prepare("SELECT request_count, request_limit FROM rate_limits").first();
+  assert.deepEqual({ ...row }, { request_count: 10, request_limit: 10 });
+});
+
+test("上一个窗口的请求数按剩余时间比例计入", async () => {
+  mock.timers.setTime(W + 1000);
+  await hit(10);
+
+  // 下一个窗口过半时，上一个窗口的 10 个请求计为 5 个
+  mock.timers.setTime(W + WINDOW + WINDOW / 2);
+  assert.deepEqual((await hit(6)).map(r => r.allowed), [true, true, true, true, true, false]);
+
+  // 上一个窗口的计数不会带到再下一个窗口
+  mock.timers.setTime(W + 2 * WINDOW);
+  assert.equal((await hit(1))[0].remaining, 10 - 5 - 1);
+});
+
+test("恢复时间为滑动窗口计数降到可以再发一个请求的时间", async () => {
+  mock.timers.setTime(W + 1000);
+  const [denied] = (await hit(11)).slice(10);
+  // 当前窗口已满：下一个窗口过去 10% 时，上一个窗口计为 9 个
+  assert.equal(denied.resetAt, W + WINDOW + WINDOW / 10);
+
+  mock.timers.setTime(denied.resetAt - 1);
+  assert.equal((await hit(1))[0].allowed, false);
+  mock.timers.setTime(denied.resetAt);
+  assert.equal((await hit(1))[0].allowed, true);
+});
+
+test("计数对象和端点分别计数", async () => {
+  mock.timers.setTime(W + 1000);
+  await hit(10, "1.2.3.4");
+  assert.equal((await hit(1, "5.6.7.8"))[0].allowed, true);
+  assert.equal((await hit(1, "1.2.3.4", "/api/other"))[0].allowed, true);
+  assert.equal((await hit(1, "1.2.3.4"))[0].allowed, false);
+});
+
+test("未配置的端点共用 default 计数，超出时返回 429 和 Retry-After", async () => {
+  const max = CONFIG.RATE_LIMIT_MAX_REQUESTS.default;
+  mock.timers.setTime(W + 1000);
+  for (let i = 0; i < max; i++) {
+    const path = `/api/unknown-${i}`;
+    assert.equal(await enforceRateLimit(env, new Request(`https://mail.example${path}`), { subject: "1.2.3.4", endpoint: path }), null);
+  }
+
+  const request = new Request("https://mail.example/api/nothing-here");
+  const limited = await enforceRateLimit(env, request, { subject: "1.2.3.4", endpoint: "/api/nothing-here" });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("Retry-After"), String(Math.ceil((WINDOW + WINDOW / max - 1000) / 1000)));
+
+  const response = await withRateLimitHeaders(env, request, new Response("x"));
+  assert.equal(response.headers.get("RateLimit-Limit"), String(max));
+  assert.equal(response.headers.get("RateLimit-Remaining"), "0");
+});
+
+test("没有经过检查的请求按 IP 层级的当前状态给出响应头，不计数", async () => {
+  mock.timers.setTime(W + 1000);
+  await hit(3, "9.9.9.9", "/api/domains", CONFIG.RATE_LIMIT_MAX_REQUESTS["/api/domains"]);
+
+  const preflight = new Request("https://mail.example/api/domains", { method: "OPTIONS", headers: { "CF-Connecting-IP": "9.9.9.9" } });
+  for (let i = 0; i < 2; i++) {
+    const response = await withRateLimitHeaders(env, preflight, new Response(null, { status: 204 }));
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get("RateLimit-Remaining"), String(CONFIG.RATE_LIMIT_MAX_REQUESTS["/api/domains"] - 3));
+    assert.equal(response.headers.get("RateLimit-Reset"), String((WINDOW - 1000) / 1000));
+  }
+});
+
+test("D1 出错时默认放行，RATE_LIMIT_FAIL_MODE=closed 时返回 503", async () => {
+  const broken = { DB: { prepare: () => ({ bind() { return this; } }), batch: async () => { throw new Error("D1 down"); } } };
+  const request = () => new Request("https://mail.example/api/generate");
+  assert.equal(await enforceRateLimit(broken, request(), { subject: "1.2.3.4", endpoint: "/api/generate" }), null);
+
+  const response = await enforceRateLimit({ ...broken, RATE_LIMIT_FAIL_MODE: "closed" }, request(), { subject: "1.2.3.4", endpoint: "/api/generate" });
+  assert.equal(response.status, 503);
+});
@@ -0,0 +1,91 @@
+/**
+ * 收件路由测试：路由优先级、加号标签和各收件策略
+ */
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase } from "./helpers/d1.js";
+import { resolveRecipient } from "../src/routing.js";
+
+let database;
+let env;
+
+before(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db };
+});
+
+after(() => database.dispose());
+
+beforeEach(() => env.DB.batch([
+  env.DB.prepare("DELETE FROM route_rules"),
+  env.DB.prepare("DELETE FROM domain_policies"),
+  env.DB.prepare("DELETE FROM generated_addresses"),
+]));
+
+function addRoute(id, type, pattern, target, { priority = 100, enabled = 1, createdAt = 0 } = {}) {
+  return env.DB.prepare(`
+    INSERT INTO route_rules (id, domain, pattern_type, pattern, target, priority, enabled, created_at, updated_at)
+    VALUES (?, 'test.dev', ?, ?, ?, ?, ?, ?, ?)
+  `).bind(id, type, pattern, target, priority, enabled, createdAt, createdAt).run();
+}
+
+function setPolicy(policy) {
+  return env.DB.prepare(`
+    INSERT INTO domain_policies (domain, policy, updated_at) VALUES ('test.dev', ?, 0)
+  `).bind(policy).run();
+}
+
+function addGenerated(address, destroyedAt = null) {
+  return env.DB.prepare(`
+    INSERT INTO generated_addresses (address, token_hash, created_at, destroyed_at) VALUES (?, 'hash', 0, ?)
+  `).bind(address, destroyedAt).run();
+}
+
+test("默认接收任意地址，加号地址投递到去掉标签的邮箱", async () => {
+  assert.deepEqual(await resolveRecipient(env, "alice@test.dev"), { address: "alice@test.dev", plusTag: null });
+  assert.deepEqual(await resolveRecipient(env, "alice+shop@test.dev"), { address: "alice@test.dev", plusTag: "shop" });
+  // 空标签和以 + 开头的用户名不算加号地址
+  assert.deepEqual(await resolveRecipient(env, "alice+@test.dev"), { address: "alice@test.dev", plusTag: null });
+  assert.deepEqual(await resolveRecipient(env, "+x@test.dev"), { address: "+x@test.dev", plusTag: null });
+});
+
+test("加号地址本身已生成时不去掉标签", async () => {
+  await addGenerated("alice+shop@test.dev");
+  assert.deepEqual(await resolveRecipient(env, "alice+shop@test.dev"), { address: "alice+shop@test.dev", plusTag: null });
+});
+
+test("路由按优先级匹配完整的用户名，命中时记录次数", async () => {
+  await addRoute("r1", "wildcard", "CI-*", "builds@test.dev");
+  await addRoute("r2", "regex", "ci-(prod|prod\\+.*)", "alerts@test.dev", { priority: 10 });
+  await addRoute("r3", "wildcard", "*", "catchall@test.dev", { enabled: 0 });
+
+  assert.deepEqual(await resolveRecipient(env, "ci-42@test.dev"), { address: "builds@test.dev", plusTag: null });
+  assert.deepEqual(await resolveRecipient(env, "ci-prod@test.dev"), { address: "alerts@test.dev", plusTag: null });
+  assert.deepEqual(await resolveRecipient(env, "ci-prod+eu@test.dev"), { address: "alerts@test.dev", plusTag: "eu" });
+  // 不区分大小写；regex 需匹配整个用户名，已停用的路由不生效
+  assert.deepEqual(await resolveRecipient(env, "xci-1@test.dev"), { address: "xci-1@test.dev", plusTag: null });
+
+  const hits = await env.DB.prepare("SELECT id, hit_count FROM route_rules ORDER BY id").all();
+  assert.deepEqual(hits.results.map(row => [row.id, row.hit_count]), [["r1", 1], ["r2", 2], ["r3", 0]]);
+});
+
+test("generated_only 只接收已生成且未删除的邮箱及其加号地址", async () => {
+  await setPolicy("generated_only");
+  await addGenerated("alice@test.dev");
+  await addGenerated("gone@test.dev", 1);
+
+  assert.deepEqual(await resolveRecipient(env, "alice@test.dev"), { address: "alice@test.dev", plusTag: null });
+  assert.deepEqual(await resolveRecipient(env, "alice+news@test.dev"), { address: "alice@test.dev", plusTag: "news" });
+  assert.deepEqual(await resolveRecipient(env, "bob@test.dev"), { reject: "Recipient not accepted" });
+  assert.deepEqual(await resolveRecipient(env, "gone@test.dev"), { reject: "Recipient not accepted" });
+});
+
+test("routes_only 只接收匹配路由的地址", async () => {
+  await setPolicy("routes_only");
+  await addGenerated("alice@test.dev");
+  await addRoute("r1", "wildcard", "team-*", "team@test.dev");
+
+  assert.deepEqual(await resolveRecipient(env, "team-ops@test.dev"), { address: "team@test.dev", plusTag: null });
+  assert.deepEqual(await resolveRecipient(env, "alice@test.dev"), { reject: "Recipient not accepted" });
+});
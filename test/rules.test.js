@@ -0,0 +1,70 @@
+/**
+ * 收信规则测试：拒收规则、按域名的发件人白名单、大小上限和命中计数
+ */
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase } from "./helpers/d1.js";
+import { applyIngestRules } from "../src/rules.js";
+
+let database;
+let env;
+
+before(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db };
+});
+
+after(() => database.dispose());
+
+beforeEach(() => env.DB.prepare("DELETE FROM ingest_rules").run());
+
+function addRules(rules) {
+  return env.DB.batch(rules.map(([id, type, value, domain = null, enabled = 1]) => env.DB.prepare(`
+    INSERT INTO ingest_rules (id, type, value, domain, enabled, created_at, updated_at) VALUES (?, ?, ?, ?, ?, 0, 0)
+  `).bind(id, type, value, domain, enabled)));
+}
+
+function check(from, to, size = 1000) {
+  return applyIngestRules(env, { from, to, size });
+}
+
+test("没有规则时全部接收", async () => {
+  assert.equal(await check("a@x.example", "b@test.dev"), null);
+});
+
+test("拒收发件人按完整地址或域名（含子域名）匹配", async () => {
+  await addRules([["r1", "block_sender", "spam.example"], ["r2", "block_sender", "bad@mail.example"]]);
+  assert.equal(await check("x@spam.example", "b@test.dev"), "Sender blocked");
+  assert.equal(await check("X@News.Spam.Example", "b@test.dev"), "Sender blocked");
+  assert.equal(await check("x@notspam.example", "b@test.dev"), null);
+  assert.equal(await check("bad@mail.example", "b@test.dev"), "Sender blocked");
+  assert.equal(await check("good@mail.example", "b@test.dev"), null);
+});
+
+test("拒收收件人前缀、大小上限，规则可限定收件域名", async () => {
+  await addRules([["r1", "block_recipient", "noreply"], ["r2", "max_size", "5000", "test.dev"], ["r3", "block_sender", "x.example", null, 0]]);
+  assert.equal(await check("a@x.example", "noreply-42@other.dev"), "Recipient not accepted");
+  assert.equal(await check("a@y.example", "b@test.dev", 6000), "Message too large");
+  assert.equal(await check("a@y.example", "b@other.dev", 6000), null);
+  // 已停用的规则不生效
+  assert.equal(await check("a@x.example", "b@test.dev"), null);
+});
+
+test("白名单只对指定的收件域名生效，拒收规则优先", async () => {
+  await addRules([["r1", "allow_sender", "partner.example", "test.dev"], ["r2", "block_sender", "evil@partner.example"]]);
+  assert.equal(await check("a@partner.example", "b@test.dev"), null);
+  assert.equal(await check("a@other.example", "b@test.dev"), "Sender not allowed");
+  assert.equal(await check("", "b@test.dev"), "Sender not allowed");
+  assert.equal(await check("a@other.example", "b@other.dev"), null);
+  assert.equal(await check("evil@partner.example", "b@test.dev"), "Sender blocked");
+});
+
+test("命中的规则记录次数和时间", async () => {
+  await addRules([["r1", "block_sender", "spam.example"], ["r2", "allow_sender", "ok.example", "test.dev"]]);
+  await check("a@spam.example", "b@test.dev");
+  await check("a@spam.example", "b@test.dev");
+  await check("a@ok.example", "b@test.dev");
+  const rows = await env.DB.prepare("SELECT id, hit_count, last_hit_at FROM ingest_rules ORDER BY id").all();
+  assert.deepEqual(rows.results.map(row => [row.id, row.hit_count, row.last_hit_at > 0]), [["r1", 2, true], ["r2", 1, true]]);
+});
@@ -0,0 +1,96 @@
+/**
+ * HTML 净化测试：危险内容始终移除，远程资源默认拦截
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { Miniflare } from "miniflare";
+
+let mf;
+
+before(() => {
+  mf = new Miniflare({
+    modules: true,
+    modulesRoot: fileURLToPath(new URL("..", import.meta.url)),
+    modulesRules: [{ type: "ESModule", include: ["**/*.js"] }],
+    scriptPath: fileURLToPath(new URL("./helpers/sanitize-worker.js", import.meta.url)),
+  });
+});
+
+after(() => mf.dispose());
+
+async function sanitize(html, options) {
+  const response = await mf.dispatchFetch("http://localhost/", {
+    method: "POST",
+    body: JSON.stringify({ html, options }),
+  });
+  return response.json();
+}
+
+test("移除脚本、事件处理器和 javascript: 链接", async () => {
+  const { html } = await sanitize(
+    '<p onclick="steal()">hi<script>alert(1)</script></p><a href="java&#x09;script:alert(1)">x</a><iframe src="https://e.example"></iframe>'
+  );
+  assert.doesNotMatch(html, /script|onclick|iframe/i);
+  assert.match(html, /<a target="_blank" rel="noopener noreferrer">x<\/a>/);
+});
+
+test("默认拦截远程图片和样式中的远程资源，保留内联和 cid 图片", async () => {
+  const { html, remoteBlocked } = await sanitize(
+    '<img src="https://tracker.example/p.gif"><img src="cid:logo@x"><img src="data:image/png;base64,AAAA">' +
+    '<div style="background: url(\'https://tracker.example/bg.png\')">x</div><style>p { background: url(//tracker.example/s.png) }</style>'
+  );
+  assert.equal(remoteBlocked, 3);
+  assert.match(html, /<img data-blocked-src="https:\/\/tracker\.example\/p\.gif">/);
+  assert.match(html, /src="cid:logo@x"/);
+  assert.match(html, /src="data:image\/png;base64,AAAA"/);
+  assert.doesNotMatch(html, /tracker\.example\/(bg|s)\.png/);
+});
+
+test("拦截 SVG image、use、feImage 的远程 href，普通链接不受影响", async () => {
+  const { html, remoteBlocked } = await sanitize(
+    '<svg><image href="https://tracker.example/a.png"/><use xlink:href="https://tracker.example/b.svg#i"/>' +
+    '<filter><feImage href="//tracker.example/c.png"/></filter><use href="#local"/></svg><a href="https://example.com/">link</a>'
+  );
+  assert.equal(remoteBlocked, 3);
+  assert.doesNotMatch(html, / (xlink:)?href="(https:)?\/\/tracker/);
+  assert.match(html, /data-blocked-href="https:\/\/tracker\.example\/a\.png"/);
+  assert.match(html, /data-blocked-xlink:href="https:\/\/tracker\.example\/b\.svg#i"/);
+  assert.match(html, /href="#local"/);
+  assert.match(html, /href="https:\/\/example\.com\/"/);
+});
+
+test("拦截 image-set() 中不带 url() 的远程地址", async () => {
+  const { html, remoteBlocked } = await sanitize(
+    '<div style="background-image: image-set(\'https://tracker.example/1x.png\' 1x, url(&quot;https://tracker.example/2x.png&quot;) 2x)">x</div>' +
+    '<style>p { background: -webkit-image-set("//tracker.example/a.png" 1x, "cid:b@x" 2x) }</style>'
+  );
+  assert.equal(remoteBlocked, 3);
+  assert.doesNotMatch(html, /tracker\.example/);
+  assert.match(html, /"cid:b@x" 2x/);
+});
+
+test("style 属性中的字符实体解码后再净化，写回时保持转义", async () => {
+  const { html, remoteBlocked } = await sanitize(
+    '<div style="background: url(&#39;https://tracker.example/a.png&#39;); font-family: &quot;A&amp;B&quot;">x</div>' +
+    '<p style="content: &amp;quot;https://cdn.example/&amp;quot;">y</p>'
+  );
+  assert.equal(remoteBlocked, 1);
+  assert.doesNotMatch(html, /tracker\.example/);
+  assert.match(html, /font-family: &quot;A&amp;B&quot;/);
+  // &amp;quot; 在浏览器中只解码一次，得到的是文本 &quot;，不是引号
+  assert.match(html, /content: &amp;quot;https:\/\/cdn\.example\/&amp;quot;/);
+});
+
+test("allowRemote 时保留远程资源，危险链接仍会移除", async () => {
+  const { html, remoteBlocked } = await sanitize(
+    '<img src="https://cdn.example/a.png"><svg><image href="https://cdn.example/b.png"/></svg>' +
+    '<style>p { background: image-set("https://cdn.example/c.png" 1x, "javascript:alert(1)" 2x) }</style>',
+    { allowRemote: true }
+  );
+  assert.equal(remoteBlocked, 0);
+  assert.match(html, /src="https:\/\/cdn\.example\/a\.png"/);
+  assert.match(html, /href="https:\/\/cdn\.example\/b\.png"/);
+  assert.match(html, /"https:\/\/cdn\.example\/c\.png" 1x, "" 2x/);
+});
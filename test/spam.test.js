@@ -0,0 +1,100 @@
+/**
+ * 垃圾邮件评分测试：头部和内容特征、阈值配置，以及训练后的贝叶斯模型
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase } from "./helpers/d1.js";
+import { scoreMessage, getSpamThreshold, buildTrainingStatements, getSpamModelStats } from "../src/spam.js";
+import { CONFIG } from "../src/utils.js";
+
+const PASS = { spf: "pass", dkim: "pass", dmarc: "pass" };
+
+let database;
+let env;
+
+before(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db };
+});
+
+after(() => database.dispose());
+
+function score(overrides) {
+  return scoreMessage(env, {
+    envelopeFrom: "bounce@mail.shop.example",
+    fromAddress: "news@shop.example",
+    headers: { "message-id": "<1@shop.example>" },
+    auth: PASS,
+    subject: "Your order",
+    text: "Thanks for your order.",
+    html: "",
+    ...overrides,
+  });
+}
+
+test("隔离阈值默认取 CONFIG，可配置或设为 off", () => {
+  assert.equal(getSpamThreshold({}), CONFIG.SPAM_THRESHOLD);
+  assert.equal(getSpamThreshold({ SPAM_THRESHOLD: "3.5" }), 3.5);
+  assert.equal(getSpamThreshold({ SPAM_THRESHOLD: "abc" }), CONFIG.SPAM_THRESHOLD);
+  assert.equal(getSpamThreshold({ SPAM_THRESHOLD: "off" }), Infinity);
+});
+
+test("正常邮件不计分", async () => {
+  assert.deepEqual(await score({}), { score: 0, reasons: [] });
+});
+
+test("认证失败、缺少 Message-ID 和发件人域名不一致分别计分", async () => {
+  const result = await score({
+    headers: {},
+    auth: { spf: "softfail", dkim: "fail", dmarc: "fail" },
+    envelopeFrom: "x@bulk.example",
+  });
+  assert.deepEqual(result.reasons, ["missing_message_id", "spf_softfail", "dkim_fail", "dmarc_fail", "from_mismatch"]);
+  assert.equal(result.score, 1.5 + 0.5 + 1.5 + 2.5 + 1.5);
+
+  // 通过 DMARC 对齐或空信封发件人（退信）时不检查域名是否一致
+  assert.deepEqual((await score({ envelopeFrom: "x@bulk.example" })).reasons, []);
+  assert.deepEqual((await score({ envelopeFrom: "", auth: { spf: "none", dkim: "none", dmarc: "none" } })).reasons, []);
+});
+
+test("垃圾邮件用语最多计三次，链接过多计分", async () => {
+  const phrases = await score({ subject: "Congratulations, you have won!", text: "Act now, 100% free, risk-free, no credit check. 点击领取" });
+  assert.deepEqual(phrases.reasons, ["spam_phrase"]);
+  assert.equal(phrases.score, 3);
+
+  const links = Array.from({ length: CONFIG.SPAM_MAX_LINKS + 1 }, (_, i) => `https://t.example/${i}`);
+  assert.deepEqual((await score({ text: links.slice(0, CONFIG.SPAM_MAX_LINKS).join("\n") })).reasons, []);
+  assert.deepEqual((await score({ text: links.join("\n") })).reasons, ["many_links"]);
+});
+
+test("两类各训练够数量后启用贝叶斯模型，改判定时不重复计数", async () => {
+  const spam = { subject: "Cheap watches discount", text: "replica watches luxury discount offer" };
+  const ham = { subject: "Sprint planning notes", text: "agenda sprint retrospective backlog planning" };
+  const train = (email, verdict) => env.DB.batch(buildTrainingStatements(env, { subject: email.subject, text_content: email.text, spam_trained: email.trained ?? null }, verdict));
+
+  for (let i = 0; i < 4; i++) {
+    await train(spam, "spam");
+    await train(ham, "ham");
+  }
+  assert.equal((await getSpamModelStats(env)).active, false);
+  assert.deepEqual((await score(spam)).reasons, []);
+
+  await train(spam, "spam");
+  await train(ham, "ham");
+  assert.equal((await getSpamModelStats(env)).active, true);
+
+  const spammy = await score(spam);
+  assert.deepEqual(spammy.reasons, ["bayes"]);
+  assert.ok(spammy.score > 5);
+  assert.ok((await score(ham)).score < -5);
+
+  // 同一判定不重复训练；改判定时先撤销之前的计数
+  assert.deepEqual(buildTrainingStatements(env, { subject: "x", text_content: "", spam_trained: "spam" }, "spam"), []);
+  await train({ ...ham, trained: "ham" }, "spam");
+  const stats = await getSpamModelStats(env);
+  assert.equal(stats.spamMessages, 6);
+  assert.equal(stats.hamMessages, 4);
+  const token = await env.DB.prepare("SELECT spam_count, ham_count FROM spam_tokens WHERE token = 'sprint'").first();
+  assert.deepEqual({ ...token }, { spam_count: 1, ham_count: 4 });
+});
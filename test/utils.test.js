@@ -0,0 +1,47 @@
+/**
+ * 通用工具测试：邮箱有效期和邮件游标
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CONFIG, getTtlBounds, parseTtl, parseCursor, formatCursor } from "../src/utils.js";
+
+test("有效期范围默认取 CONFIG，可由环境变量（秒）覆盖", () => {
+  assert.deepEqual(getTtlBounds({}), { min: CONFIG.ADDRESS_TTL_MIN_MS, max: CONFIG.ADDRESS_TTL_MAX_MS, default: CONFIG.EMAIL_EXPIRE_MS });
+  assert.deepEqual(
+    getTtlBounds({ ADDRESS_TTL_MIN: "60", ADDRESS_TTL_MAX: "3600", ADDRESS_TTL_DEFAULT: "600" }),
+    { min: 60000, max: 3600000, default: 600000 }
+  );
+  // 无效值回退到默认，上限不低于下限，默认值限制在范围内
+  assert.equal(getTtlBounds({ ADDRESS_TTL_MIN: "abc" }).min, CONFIG.ADDRESS_TTL_MIN_MS);
+  assert.deepEqual(getTtlBounds({ ADDRESS_TTL_MIN: "7200", ADDRESS_TTL_MAX: "60" }), { min: 7200000, max: 7200000, default: 7200000 });
+});
+
+test("域名的默认有效期优先于全局默认值", () => {
+  assert.equal(getTtlBounds({}, { default_ttl: 3600000 }).default, 3600000);
+  assert.equal(getTtlBounds({}, { default_ttl: null }).default, CONFIG.EMAIL_EXPIRE_MS);
+  assert.equal(getTtlBounds({ ADDRESS_TTL_MAX: "1800" }, { default_ttl: 3600000 }).default, 1800000);
+});
+
+test("parseTtl：未提供时取默认值，格式错误或超出范围时返回 null", () => {
+  const env = { ADDRESS_TTL_MIN: "60", ADDRESS_TTL_MAX: "3600", ADDRESS_TTL_DEFAULT: "600" };
+  assert.equal(parseTtl(undefined, env), 600000);
+  assert.equal(parseTtl("", env), 600000);
+  assert.equal(parseTtl("120", env), 120000);
+  assert.equal(parseTtl(3600, env), 3600000);
+  assert.equal(parseTtl("59", env), null);
+  assert.equal(parseTtl("3601", env), null);
+  assert.equal(parseTtl("1.5", env), null);
+  assert.equal(parseTtl("-60", env), null);
+  assert.equal(parseTtl("60s", env), null);
+  assert.equal(parseTtl(undefined, env, { default_ttl: 1200000 }), 1200000);
+});
+
+test("游标格式为 \"<created_at>,<id>\"，无法解析时返回 null", () => {
+  assert.deepEqual(parseCursor(formatCursor(1700000000000, "abc,def")), { createdAt: 1700000000000, id: "abc,def" });
+  assert.equal(parseCursor(""), null);
+  assert.equal(parseCursor(null), null);
+  assert.equal(parseCursor("abc"), null);
+  assert.equal(parseCursor(",abc"), null);
+  assert.equal(parseCursor("soon,abc"), null);
+});
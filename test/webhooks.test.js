@@ -0,0 +1,97 @@
+/**
+ * Webhook 推送测试：首次发送和定时重试不会重复发送同一推送
+ */
+
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase } from "./helpers/d1.js";
+import { queueWebhookDeliveries, deliverWebhooks, retryPendingWebhooks } from "../src/webhooks.js";
+import { CONFIG } from "../src/utils.js";
+
+const realFetch = globalThis.fetch;
+let database;
+let env;
+let sent;
+
+before(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db };
+  await env.DB.prepare(`
+    INSERT INTO webhooks (id, address, url, secret, created_at) VALUES ('hook1', 'alice@test.dev', 'https://hooks.example/in', 'secret', 0)
+  `).run();
+});
+
+after(() => database.dispose());
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/**
+ * 记录发出的推送，按 status 返回响应
+ */
+function fakeReceiver(status = 200) {
+  sent = [];
+  globalThis.fetch = async (url, init) => {
+    sent.push({ url, headers: init.headers, body: init.body });
+    return new Response(null, { status });
+  };
+}
+
+function queue(id) {
+  return queueWebhookDeliveries(env, {
+    id,
+    address: "alice@test.dev",
+    fromAddress: "bob@example.com",
+    subject: "Your code",
+    textContent: "Code: 123456",
+    codes: ["123456"],
+    links: [],
+    createdAt: Date.now(),
+  });
+}
+
+function getDelivery(id) {
+  return env.DB.prepare(`
+    SELECT status, attempts, next_attempt_at FROM webhook_deliveries WHERE id = ?
+  `).bind(id).first();
+}
+
+test("刚入队的推送不会被定时重试取走", async () => {
+  fakeReceiver();
+  const queuedAt = Date.now();
+  const [delivery] = await queue("email1");
+
+  const row = await getDelivery(delivery.id);
+  assert.equal(row.status, "pending");
+  assert.ok(row.next_attempt_at >= queuedAt + CONFIG.WEBHOOK_RETRY_DELAYS_MS[0]);
+
+  assert.deepEqual(await retryPendingWebhooks(env), { attempted: 0, succeeded: 0 });
+  assert.equal(sent.length, 0);
+
+  // 首次发送成功后不再进入重试队列
+  assert.deepEqual(await deliverWebhooks(env, [delivery]), { attempted: 1, succeeded: 1 });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].headers["X-Webhook-Id"], delivery.id);
+  assert.equal((await getDelivery(delivery.id)).status, "success");
+});
+
+test("首次发送失败或没有完成的推送到期后由定时任务重试", async () => {
+  fakeReceiver(502);
+  const [failed] = await queue("email2");
+  await deliverWebhooks(env, [failed]);
+  const row = await getDelivery(failed.id);
+  assert.equal(row.status, "pending");
+  assert.equal(row.attempts, 1);
+
+  // 另一条首次发送没有完成（例如 Worker 被终止）
+  const [unsent] = await queue("email3");
+
+  fakeReceiver();
+  await env.DB.prepare(`
+    UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id IN (?, ?)
+  `).bind(Date.now() - 1, failed.id, unsent.id).run();
+  assert.deepEqual(await retryPendingWebhooks(env), { attempted: 2, succeeded: 2 });
+  assert.deepEqual(sent.map(s => s.headers["X-Webhook-Id"]).sort(), [failed.id, unsent.id].sort());
+  assert.equal((await getDelivery(failed.id)).attempts, 2);
+});